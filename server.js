@@ -1,140 +1,3045 @@
 const express = require('express');
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const app = express();
 const PORT = process.env.PORT || 8089;
 
+// Trust X-Forwarded-For from a reverse proxy so rate limiting sees real client IPs
+// Set TRUST_PROXY to a hop count (e.g. 1) or a subnet list as accepted by Express
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Add JSON body parser
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files
-app.use(express.static('public'));
+// Create the data directory in the writable /tmp folder if it doesn't exist
+// DATA_DIR moves it elsewhere, e.g. to a temporary directory in tests
+const dataDir = process.env.DATA_DIR || '/tmp/data';
+try {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    console.log(`Created data directory at ${dataDir}`);
+  }
+} catch (error) {
+  console.error('Error creating data directory:', error);
+}
+
+// Dataset storage backends
+// Every backend stores hierarchy files by file name and exposes the same
+// async interface: read(name) -> Buffer or null, write(name, contents),
+// exists(name) and list() -> file names. /tmp/data always acts as the local
+// cache that fetch jobs write to and that /data serves from, the
+// configured backend is where datasets are persisted between restarts.
+
+// Local filesystem backend
+const createLocalStorage = (directory) => ({
+  name: 'local',
+  directory,
+  
+  async read(name) {
+    try {
+      return await fs.promises.readFile(path.join(directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+  
+  async write(name, contents) {
+    await fs.promises.mkdir(path.dirname(path.join(directory, name)), { recursive: true });
+    await fs.promises.writeFile(path.join(directory, name), contents);
+  },
+  
+  async exists(name) {
+    return fs.existsSync(path.join(directory, name));
+  },
+  
+  async list() {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.promises.readdir(directory);
+  }
+});
+
+// In-memory backend, for tests and throwaway deployments
+const createMemoryStorage = (initialFiles = {}) => {
+  const files = new Map(Object.entries(initialFiles).map(([name, contents]) => [name, Buffer.from(contents)]));
+  
+  return {
+    name: 'memory',
+    files,
+    
+    async read(name) {
+      return files.has(name) ? Buffer.from(files.get(name)) : null;
+    },
+    
+    async write(name, contents) {
+      files.set(name, Buffer.from(contents));
+    },
+    
+    async exists(name) {
+      return files.has(name);
+    },
+    
+    async list() {
+      return Array.from(files.keys());
+    }
+  };
+};
+
+// Google Cloud Storage backend
+// Honors STORAGE_EMULATOR_HOST, or pass apiEndpoint to target a local emulator
+const createGcsStorage = ({ bucketName, prefix = '', apiEndpoint, projectId }) => {
+  if (!bucketName) {
+    throw new Error('GCS_BUCKET must be set when using the gcs storage backend');
+  }
+  
+  // Only load the client library when the backend is actually used
+  const { Storage } = require('@google-cloud/storage');
+  const storage = new Storage({ apiEndpoint, projectId });
+  const bucket = storage.bucket(bucketName);
+  
+  return {
+    name: 'gcs',
+    
+    async read(name) {
+      try {
+        const [contents] = await bucket.file(prefix + name).download();
+        return contents;
+      } catch (error) {
+        if (error.code === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    
+    async write(name, contents) {
+      await bucket.file(prefix + name).save(contents, {
+        resumable: false,
+        contentType: 'application/json'
+      });
+    },
+    
+    async exists(name) {
+      const [exists] = await bucket.file(prefix + name).exists();
+      return exists;
+    },
+    
+    async list() {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map(file => file.name.slice(prefix.length));
+    }
+  };
+};
+
+// Pick the dataset storage backend from the environment
+// DATASET_STORAGE is one of "local" (default), "gcs" or "memory"
+const createDatasetStorage = () => {
+  const backend = process.env.DATASET_STORAGE || 'local';
+  
+  switch (backend) {
+    case 'local':
+      return createLocalStorage(process.env.DATASET_DIR || dataDir);
+    case 'memory':
+      return createMemoryStorage();
+    case 'gcs':
+      return createGcsStorage({
+        bucketName: process.env.GCS_BUCKET,
+        prefix: process.env.GCS_PREFIX || '',
+        apiEndpoint: process.env.GCS_API_ENDPOINT,
+        projectId: process.env.GCS_PROJECT_ID
+      });
+    default:
+      throw new Error(`Unknown dataset storage backend: ${backend}`);
+  }
+};
+
+let datasetStorage = createDatasetStorage();
+console.log(`Using ${datasetStorage.name} dataset storage`);
+
+// Replace the dataset storage backend (e.g. with an in-memory fake in tests)
+const setDatasetStorage = (storage) => {
+  datasetStorage = storage;
+};
+
+// Only hierarchy files may be looked up in the storage backend
+const HIERARCHY_FILE_PATTERN = /^[A-Za-z0-9_.]+_prey_hierarchy\.json$/;
+
+// Copy a file from the local cache to the storage backend
+const persistDataset = async (name) => {
+  // Nothing to do when the backend is the local cache itself
+  if (datasetStorage.directory && path.resolve(datasetStorage.directory) === path.resolve(dataDir)) {
+    return;
+  }
+  
+  const contents = await fs.promises.readFile(path.join(dataDir, name));
+  await datasetStorage.write(name, contents);
+  console.log(`Stored ${name} in ${datasetStorage.name} dataset storage`);
+};
+
+// Make sure a dataset is in the local cache, reading it from the storage backend on a miss
+// Resolves to true when the file is available locally
+const ensureLocalDataset = async (name) => {
+  const localPath = path.join(dataDir, name);
+  
+  if (fs.existsSync(localPath)) {
+    return true;
+  }
+  
+  const contents = await datasetStorage.read(name);
+  if (!contents) {
+    return false;
+  }
+  
+  await fs.promises.writeFile(localPath, contents);
+  console.log(`Restored ${name} from ${datasetStorage.name} dataset storage`);
+  if (await upgradeHierarchyFile(name, datasetManifest.datasets[name])) {
+    await persistDataset(name);
+  }
+  indexHierarchyFile(name);
+  return true;
+};
+
+// Hierarchy file schema
+// Every hierarchy file carries a schema_version and a metadata block, and
+// every node names its rank, so readers never have to infer it from depth:
+//   { schema_version, metadata: { predator, source, generated_at },
+//     name, rank: 'predator', children: [kingdoms -> families -> species] }
+// Every taxon appears once per family. Species leaves carry their total value
+// and an interactions breakdown of that value by interaction type. Families
+// and species carry their class and order, null when unknown. Files without a
+// schema_version are version 1 files as written by the R script, they are
+// upgraded when they enter the local cache.
+const HIERARCHY_SCHEMA_VERSION = 4;
+
+// Rank of the nodes at each level of a hierarchy
+const HIERARCHY_RANKS = ['predator', 'kingdom', 'family', 'species'];
+
+// Taxonomy attributes of families and species leaves
+const TAXONOMY_ATTRIBUTES = ['class', 'order'];
+
+// Breakdown key for records without an interaction type
+const UNKNOWN_INTERACTION_TYPE = 'unknown';
+
+// Known interaction types of a species leaf
+const leafInteractionTypes = (leaf) => Object.keys(leaf.interactions || {})
+  .filter(type => type !== UNKNOWN_INTERACTION_TYPE);
+
+// Only report this many schema violations per file
+const MAX_SCHEMA_ERRORS = 20;
+
+// Upgrades from each schema version to the next one
+const HIERARCHY_MIGRATIONS = {
+  // Version 1 files are bare name/children trees without metadata or ranks
+  1: (hierarchy, metadata) => {
+    const addRanks = (node, depth) => {
+      if (!node || typeof node !== 'object') {
+        return node;
+      }
+      
+      const { name, children, ...attributes } = node;
+      const upgraded = { name, rank: HIERARCHY_RANKS[depth], ...attributes };
+      if (children !== undefined) {
+        upgraded.children = Array.isArray(children)
+          ? children.map(child => addRanks(child, depth + 1))
+          : children;
+      }
+      return upgraded;
+    };
+    
+    const predator = parseTaxonLabel(typeof hierarchy.name === 'string' ? hierarchy.name : '');
+    
+    return {
+      schema_version: 2,
+      metadata: {
+        predator: {
+          scientific_name: predator.scientificName,
+          vernacular_name: predator.vernacularName
+        },
+        source: metadata.source || null,
+        generated_at: metadata.generated_at || null
+      },
+      ...addRanks(hierarchy, 0)
+    };
+  },
+  
+  // Version 2 files list a taxon once per interaction type, and sometimes
+  // repeat it for the same type. Merge the copies within each family into one
+  // leaf whose interactions break its value down by interaction type. Copies
+  // with the same interaction type and value come from duplicated joins in
+  // the R script rather than from separate records, so they are counted once.
+  2: (hierarchy) => {
+    const mergeLeaves = (leaves) => {
+      const merged = new Map();
+      // Interaction type and value of the copies merged so far, by taxon
+      const copies = new Map();
+      
+      leaves.forEach((leaf, index) => {
+        // Leave malformed leaves alone for validation to report
+        if (!leaf || typeof leaf !== 'object' || typeof leaf.name !== 'string' || typeof leaf.value !== 'number') {
+          merged.set(`#${index}`, leaf);
+          return;
+        }
+        
+        const { interaction_type: interactionType, value, ...attributes } = leaf;
+        const type = interactionType || UNKNOWN_INTERACTION_TYPE;
+        const key = normalizeSearchText(parseTaxonLabel(leaf.name).scientificName);
+        const existing = merged.get(key);
+        const copy = `${type}:${value}`;
+        
+        if (!existing) {
+          merged.set(key, { ...attributes, value, interactions: { [type]: value } });
+          copies.set(key, new Set([copy]));
+          return;
+        }
+        
+        if (copies.get(key).has(copy)) {
+          return;
+        }
+        copies.get(key).add(copy);
+        
+        existing.value += value;
+        existing.interactions[type] = (existing.interactions[type] || 0) + value;
+        
+        // Prefer a label with a common name, and fill in taxonomy the first copy lacked
+        if (!parseTaxonLabel(existing.name).vernacularName) {
+          existing.name = leaf.name;
+        }
+        Object.entries(attributes).forEach(([attribute, attributeValue]) => {
+          if (existing[attribute] === undefined || existing[attribute] === null) {
+            existing[attribute] = attributeValue;
+          }
+        });
+      });
+      
+      return Array.from(merged.values())
+        .sort((a, b) => ((b && b.value) || 0) - ((a && a.value) || 0));
+    };
+    
+    const mapChildren = (node, map) => (node && Array.isArray(node.children)
+      ? { ...node, children: map(node.children) }
+      : node);
+    
+    return {
+      ...mapChildren(hierarchy, kingdoms => kingdoms.map(kingdom =>
+        mapChildren(kingdom, families => families.map(family =>
+          mapChildren(family, mergeLeaves))))),
+      schema_version: 3
+    };
+  },
+  
+  // Version 3 files only know the class and order of some species. Fill them
+  // in from the taxonomy indexes and classify every family by its species.
+  3: (hierarchy) => {
+    const mapChildren = (node, map) => (node && Array.isArray(node.children)
+      ? { ...node, children: node.children.map(map) }
+      : node);
+    
+    return {
+      ...mapChildren(hierarchy, kingdom => mapChildren(kingdom, classifyFamily)),
+      schema_version: 4
+    };
+  }
+};
+
+// Upgrade a parsed hierarchy to the current schema version
+// metadata fills the metadata block of files that don't have one
+const migrateHierarchy = (hierarchy, metadata = {}) => {
+  if (!hierarchy || typeof hierarchy !== 'object' || Array.isArray(hierarchy)) {
+    return hierarchy;
+  }
+  
+  let migrated = hierarchy;
+  let version = hierarchy.schema_version === undefined ? 1 : hierarchy.schema_version;
+  while (HIERARCHY_MIGRATIONS[version]) {
+    migrated = HIERARCHY_MIGRATIONS[version](migrated, metadata);
+    version = migrated.schema_version;
+  }
+  return migrated;
+};
+
+// Check a hierarchy against the current schema
+// Returns a list of problems, each prefixed with the JSON path of the offending value
+const validateHierarchy = (hierarchy) => {
+  const errors = [];
+  const report = (location, message) => {
+    if (errors.length < MAX_SCHEMA_ERRORS) {
+      errors.push(`${location}: ${message}`);
+    }
+  };
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+  
+  if (!isObject(hierarchy)) {
+    return ['$: must be an object'];
+  }
+  
+  if (hierarchy.schema_version !== HIERARCHY_SCHEMA_VERSION) {
+    report('$.schema_version', `must be ${HIERARCHY_SCHEMA_VERSION}, found ${JSON.stringify(hierarchy.schema_version)}`);
+  }
+  
+  const { metadata } = hierarchy;
+  if (!isObject(metadata)) {
+    report('$.metadata', 'must be an object');
+  } else {
+    if (!isObject(metadata.predator) || typeof metadata.predator.scientific_name !== 'string'
+      || metadata.predator.scientific_name.trim() === '') {
+      report('$.metadata.predator.scientific_name', 'must be a non-empty string');
+    } else if (!isOptionalString(metadata.predator.vernacular_name)) {
+      report('$.metadata.predator.vernacular_name', 'must be a string or null');
+    }
+    ['source', 'generated_at'].forEach(key => {
+      if (!isOptionalString(metadata[key])) {
+        report(`$.metadata.${key}`, 'must be a string or null');
+      }
+    });
+  }
+  
+  const visit = (node, depth, location) => {
+    if (!isObject(node)) {
+      return report(location, 'must be an object');
+    }
+    
+    if (typeof node.name !== 'string' || node.name.trim() === '') {
+      report(`${location}.name`, 'must be a non-empty string');
+    }
+    
+    const rank = HIERARCHY_RANKS[depth];
+    if (node.rank !== rank) {
+      report(`${location}.rank`, `must be "${rank}", found ${JSON.stringify(node.rank)}`);
+    }
+    
+    if (rank === 'family' || rank === 'species') {
+      TAXONOMY_ATTRIBUTES.forEach(key => {
+        if (!isOptionalString(node[key])) {
+          report(`${location}.${key}`, 'must be a string or null');
+        }
+      });
+    }
+    
+    if (rank === 'species') {
+      if (node.children !== undefined) {
+        report(`${location}.children`, 'species can\'t have children');
+      }
+      if (typeof node.value !== 'number' || !Number.isFinite(node.value) || node.value < 0) {
+        report(`${location}.value`, 'must be a non-negative number');
+      }
+      
+      const counts = isObject(node.interactions) ? Object.values(node.interactions) : [];
+      if (counts.length === 0) {
+        report(`${location}.interactions`, 'must be an object with at least one interaction type');
+      } else if (counts.some(count => typeof count !== 'number' || !Number.isFinite(count) || count < 0)) {
+        report(`${location}.interactions`, 'counts must be non-negative numbers');
+      } else if (Math.abs(counts.reduce((sum, count) => sum + count, 0) - node.value) > 1e-9) {
+        report(`${location}.interactions`, 'counts must add up to value');
+      }
+      return;
+    }
+    
+    if (!Array.isArray(node.children)) {
+      return report(`${location}.children`, 'must be an array');
+    }
+    
+    // Duplicate taxa are merged on ingest, so a family lists each taxon once
+    if (rank === 'family') {
+      const seen = new Map();
+      node.children.forEach((child, index) => {
+        if (!isObject(child) || typeof child.name !== 'string') {
+          return;
+        }
+        const key = normalizeSearchText(parseTaxonLabel(child.name).scientificName);
+        if (seen.has(key)) {
+          report(`${location}.children[${index}].name`, `same taxon as children[${seen.get(key)}]`);
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+    node.children.forEach((child, index) => visit(child, depth + 1, `${location}.children[${index}]`));
+  };
+  
+  visit(hierarchy, 0, '$');
+  return errors;
+};
+
+// Parse hierarchy file contents, upgrading legacy files, and validate the result
+// Throws an error listing the schema violations when the file is malformed
+const parseHierarchy = (contents, name, metadata) => {
+  let hierarchy;
+  try {
+    hierarchy = JSON.parse(contents);
+  } catch (error) {
+    const parseError = new Error(`${name} is not valid JSON`);
+    parseError.validationErrors = [`$: ${error.message}`];
+    throw parseError;
+  }
+  
+  hierarchy = migrateHierarchy(hierarchy, metadata);
+  
+  const errors = validateHierarchy(hierarchy);
+  if (errors.length > 0) {
+    const schemaError = new Error(`${name} does not match hierarchy schema version ${HIERARCHY_SCHEMA_VERSION}`);
+    schemaError.validationErrors = errors;
+    throw schemaError;
+  }
+  return hierarchy;
+};
+
+// Checksums of the hierarchy files in the local cache that passed validation,
+// by file name. Files are validated when they enter the cache and are served
+// without another look as long as the manifest has the same checksum
+const validatedDatasets = new Map();
+
+const rememberValidated = (name, contents) => {
+  validatedDatasets.set(name, crypto.createHash('sha256').update(contents).digest('hex'));
+};
+
+// Upgrade a file in the local cache to the current schema, rewriting it in place
+// Resolves to true when the file was rewritten, throws when it is malformed
+const upgradeHierarchyFile = async (name, metadata) => {
+  const filePath = path.join(dataDir, name);
+  const contents = await fs.promises.readFile(filePath, 'utf8');
+  const hierarchy = parseHierarchy(contents, name, metadata);
+  
+  // Files that were valid as written need no rewrite
+  if (JSON.parse(contents).schema_version === HIERARCHY_SCHEMA_VERSION) {
+    rememberValidated(name, contents);
+    return false;
+  }
+  
+  const upgraded = JSON.stringify(hierarchy, null, 2);
+  await fs.promises.writeFile(filePath, upgraded);
+  rememberValidated(name, upgraded);
+  console.log(`Upgraded ${name} to hierarchy schema version ${HIERARCHY_SCHEMA_VERSION}`);
+  
+  // Keep the manifest's checksum in line with the rewritten file
+  const entry = datasetManifest.datasets[name];
+  if (entry) {
+    datasetManifest.datasets[name] = describeDataset(name, entry);
+    await saveManifest();
+  }
+  return true;
+};
+
+// Dataset manifest
+// Records when, how and from which query every hierarchy file was generated,
+// so clients can tell an old bundled file from a fresh fetch. The manifest
+// lives next to the datasets and is written through to the storage backend.
+const MANIFEST_FILE = 'datasets_manifest.json';
+
+// Cached datasets older than this are still served, but trigger a background
+// refresh (30 days by default, DATASET_TTL_HOURS=0 turns refreshes off)
+const DATASET_TTL_MS = (process.env.DATASET_TTL_HOURS !== undefined
+  ? Number(process.env.DATASET_TTL_HOURS)
+  : 24 * 30) * 60 * 60 * 1000;
+
+// Minimum time between two background refreshes of the same dataset (1 hour)
+const REFRESH_RETRY_MS = 60 * 60 * 1000;
+
+let datasetManifest = { version: 1, datasets: {} };
+
+// Last background refresh attempt per dataset file
+const refreshAttempts = new Map();
+
+// Serializes manifest writes so concurrent updates don't interleave
+let manifestWrite = Promise.resolve();
+
+// Count records, species and families of a hierarchy and collect its interaction types
+const summarizeHierarchy = (hierarchy) => {
+  const interactionTypes = new Set();
+  const species = new Set();
+  const families = new Set();
+  let recordCount = 0;
+  
+  (hierarchy.children || []).forEach(kingdom => {
+    (kingdom.children || []).forEach(family => {
+      families.add(family.name);
+      (family.children || []).forEach(leaf => {
+        species.add(leaf.name);
+        recordCount += leaf.value || 0;
+        leafInteractionTypes(leaf).forEach(type => interactionTypes.add(type));
+      });
+    });
+  });
+  
+  return {
+    interaction_types: Array.from(interactionTypes).sort(),
+    record_count: recordCount,
+    species_count: species.size,
+    family_count: families.size,
+    kingdom_count: (hierarchy.children || []).length
+  };
+};
+
+// Build the manifest entry for a hierarchy file in the local cache
+const describeDataset = (name, metadata) => {
+  const contents = fs.readFileSync(path.join(dataDir, name));
+  const hierarchy = JSON.parse(contents);
+  
+  return {
+    file: name,
+    taxon: parseTaxonLabel(hierarchy.name).scientificName,
+    name: hierarchy.name,
+    generated_at: metadata.generated_at || new Date().toISOString(),
+    source: metadata.source,
+    query: metadata.query || null,
+    schema_version: hierarchy.schema_version || 1,
+    ...summarizeHierarchy(hierarchy),
+    size_bytes: contents.length,
+    sha256: crypto.createHash('sha256').update(contents).digest('hex')
+  };
+};
+
+// Write the manifest to the local cache and the storage backend
+const saveManifest = () => {
+  manifestWrite = manifestWrite
+    .then(async () => {
+      const contents = JSON.stringify(datasetManifest, null, 2);
+      await fs.promises.writeFile(path.join(dataDir, MANIFEST_FILE), contents);
+      await persistDataset(MANIFEST_FILE);
+    })
+    .catch(error => console.error('Error saving dataset manifest:', error));
+  return manifestWrite;
+};
+
+// Load the manifest, preferring the storage backend over the local cache
+const loadManifest = async () => {
+  try {
+    const contents = await datasetStorage.read(MANIFEST_FILE)
+      || await createLocalStorage(dataDir).read(MANIFEST_FILE);
+    
+    if (contents) {
+      datasetManifest = JSON.parse(contents);
+      console.log(`Loaded manifest with ${Object.keys(datasetManifest.datasets).length} datasets`);
+    }
+  } catch (error) {
+    console.error('Error loading dataset manifest:', error);
+  }
+};
+
+// Add or replace the manifest entry of a dataset
+const recordDataset = async (name, metadata) => {
+  const entry = describeDataset(name, metadata);
+  datasetManifest.datasets[name] = entry;
+  await saveManifest();
+  return entry;
+};
+
+// Describe cached files that the manifest doesn't know about yet
+// Bundled files are dated by their modification time, as nothing better is known
+const reconcileManifest = async () => {
+  const bundledDir = path.join(__dirname, 'public', 'data');
+  let changed = false;
+  
+  fs.readdirSync(dataDir)
+    .filter(file => HIERARCHY_FILE_PATTERN.test(file) && !datasetManifest.datasets[file])
+    .forEach(file => {
+      try {
+        const bundledPath = path.join(bundledDir, file);
+        const isBundled = fs.existsSync(bundledPath);
+        const { mtime } = fs.statSync(isBundled ? bundledPath : path.join(dataDir, file));
+        
+        datasetManifest.datasets[file] = describeDataset(file, {
+          source: isBundled ? 'bundled' : 'unknown',
+          generated_at: mtime.toISOString()
+        });
+        changed = true;
+      } catch (error) {
+        console.error(`Error describing ${file}:`, error);
+      }
+    });
+  
+  if (changed) {
+    await saveManifest();
+  }
+};
+
+// Whether a dataset is older than the configured TTL
+const isDatasetStale = (entry) => DATASET_TTL_MS > 0
+  && Date.now() - Date.parse(entry.generated_at) > DATASET_TTL_MS;
+
+// Whether a stale dataset may be refetched. Bundled files and files put into
+// the cache by hand weren't fetched by a data source, so they are kept as they are
+const isDatasetRefreshable = (entry) => entry.source !== 'bundled' && entry.source !== 'unknown';
+
+// Public view of a manifest entry, with its freshness
+const serializeDataset = (entry) => {
+  const activeJob = activeJobsByTaxon.get(normalizeTaxon(entry.taxon));
+  return {
+    ...entry,
+    stale: isDatasetStale(entry),
+    refreshJobId: activeJob ? activeJob.id : null
+  };
+};
+
+// Start a background refresh of a stale dataset, at most once per retry period
+// The refresh counts against the fetch rate limit of the client that asked
+// for the dataset, so page views can't keep the fetch queue busy
+// Returns the refresh job, or null when no refresh was started
+const refreshStaleDataset = (entry, client) => {
+  const lastAttempt = refreshAttempts.get(entry.file) || 0;
+  const activeJob = activeJobsByTaxon.get(normalizeTaxon(entry.taxon));
+  // Replaying recordings would only bring back the same data
+  if (activeJob || dataSource.mode === 'replay' || Date.now() - lastAttempt < REFRESH_RETRY_MS
+    || !isValidTaxonName(entry.taxon) || chargeFetchRequest(client) > 0) {
+    return activeJob || null;
+  }
+  
+  refreshAttempts.set(entry.file, Date.now());
+  const { job } = startFetchJob(entry.taxon);
+  if (job) {
+    console.log(`Refreshing stale dataset ${entry.file} in job ${job.id}`);
+  }
+  return job || null;
+};
+
+// Serve hierarchy files with manifest-based validators and stale-while-revalidate
+app.get('/data/:file', async (req, res, next) => {
+  const name = req.params.file;
+  
+  // Only hierarchy files are served, not the manifest kept next to them
+  if (!HIERARCHY_FILE_PATTERN.test(name)) {
+    return res.status(404).json({ success: false, error: `No dataset found for ${name}` });
+  }
+  
+  try {
+    // Fill the local cache from the storage backend on a miss
+    if (!(await ensureLocalDataset(name))) {
+      return res.status(404).json({ success: false, error: `No dataset found for ${name}` });
+    }
+    
+    // Never hand out a file that would only draw half a tree, and upgrade
+    // legacy files that were put into the cache by hand. Files validated
+    // since they last changed are served as they are
+    const knownEntry = datasetManifest.datasets[name];
+    if (!knownEntry || validatedDatasets.get(name) !== knownEntry.sha256) {
+      await upgradeHierarchyFile(name, knownEntry);
+    }
+    
+    const entry = datasetManifest.datasets[name] || await recordDataset(name, { source: 'unknown' });
+    
+    res.set({
+      'ETag': `"${entry.sha256}"`,
+      'Last-Modified': new Date(entry.generated_at).toUTCString(),
+      // Always revalidate, the ETag makes that cheap
+      'Cache-Control': 'no-cache',
+      'X-Dataset-Generated-At': entry.generated_at,
+      'X-Dataset-Source': entry.source
+    });
+    
+    // Serve the cached copy right away and refresh it in the background
+    if (isDatasetStale(entry)) {
+      res.set('X-Dataset-Stale', 'true');
+      const refreshJob = isDatasetRefreshable(entry) ? refreshStaleDataset(entry, req.ip) : null;
+      if (refreshJob) {
+        res.set('X-Dataset-Refresh-Job', refreshJob.id);
+      }
+    }
+    
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.sendFile(path.join(dataDir, name), { etag: false, lastModified: false });
+  } catch (error) {
+    console.error(`Error serving ${name}:`, error);
+    if (error.validationErrors) {
+      return res.status(500).json({ success: false, error: error.message, errors: error.validationErrors });
+    }
+    res.status(500).json({ success: false, error: 'Failed to load dataset', details: error.message });
+  }
+});
+
+// API endpoint listing all known datasets with their freshness metadata
+app.get('/api/datasets', (req, res) => {
+  const datasets = Object.values(datasetManifest.datasets)
+    .map(serializeDataset)
+    .sort((a, b) => a.taxon.localeCompare(b.taxon));
+  
+  res.json({
+    success: true,
+    ttlHours: DATASET_TTL_MS / (60 * 60 * 1000),
+    datasets
+  });
+});
+
+// Serve static files
+// Registered after /data so fetched datasets win over the bundled copies in public/data
+app.use(express.static('public'));
+
+// Data sources
+// A data source turns a predator taxon into interaction records, and fetch
+// jobs build the hierarchy file from those. Every adapter has a name and:
+//   fetchInteractions(taxon, { signal, onProgress }) -> { vernacularName, records, generatedAt }
+//     where records are { species, interaction_type, count } with optional
+//     kingdom, class, order, family and vernacular_name, onProgress is
+//     called with { stage: 'interactions', current, total, interactionType }
+//     for every page of interaction records and with { stage: 'taxonomy',
+//     current, total, species } for every prey species, and generatedAt is
+//     only set when the data is older than the fetch
+//   resolveTaxonomy(name, { signal }) -> { kingdom, class, order, family,
+//     vernacular_name } or null when the taxon is unknown
+// Adapters that replay recorded responses have mode 'replay' and
+// listRecordedTaxa() -> taxon names that can be fetched.
+// Adapters reject with an Error whose message and details end up in the job.
+
+// Interaction types fetched for every predator
+const FETCH_INTERACTION_TYPES = ['preysOn', 'eats', 'pollinates'];
+
+// Prey networks only keep animals, or prey whose kingdom or class is unknown
+const ANIMAL_KINGDOMS = ['Animalia', 'Metazoa'];
+const ANIMAL_CLASSES = ['Mammalia', 'Aves', 'Actinopterygii', 'Reptilia', 'Amphibia'];
+
+// Create a data source error with details for the job status
+const dataSourceError = (message, details) => Object.assign(new Error(message), { details: details || null });
+
+// Drop prey that aren't animals, the same way the R script filters
+const keepAnimalPrey = (records) => records
+  .filter(record => !record.kingdom || !record.class
+    || ANIMAL_KINGDOMS.includes(record.kingdom) || ANIMAL_CLASSES.includes(record.class))
+  .map(record => (!record.kingdom && ANIMAL_CLASSES.includes(record.class)
+    ? { ...record, kingdom: 'Animalia' }
+    : record));
+
+// GloBI REST API adapter
+// Queries the GloBI web API directly, so no R installation is needed.
+// Point baseUrl at a local stub server to replay recorded responses.
+// In 'record' mode every response of a fetch is saved to one fixture file per
+// predator in fixturesDir, in 'replay' mode fetches are answered from those
+// files alone, so the app can be demoed without network access.
+const createGlobiDataSource = ({
+  baseUrl = 'https://api.globalbioticinteractions.org',
+  pageSize = 1000,
+  maxRecords = 5000,
+  mode = 'live',
+  fixturesDir = path.join(__dirname, 'fixtures', 'globi')
+} = {}) => {
+  if (!['live', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Unknown GloBI mode: ${mode}`);
+  }
+  
+  const taxonomyCache = new Map();
+  
+  // Fixture file with the recorded responses of a predator
+  const recordingPath = (taxon) => path.join(fixturesDir, `${normalizeTaxon(taxon).replace(/ /g, '_')}.json`);
+  
+  // Stable key of a request, with the query parameters in alphabetical order
+  const requestKey = (pathname, params) => {
+    const query = new URLSearchParams(Object.entries(params || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => [key, String(value)]))
+      .toString();
+    return query ? `${pathname}?${query}` : pathname;
+  };
+  
+  const listRecordedTaxa = async () => {
+    if (!fs.existsSync(fixturesDir)) {
+      return [];
+    }
+    
+    const files = (await fs.promises.readdir(fixturesDir)).filter(file => file.endsWith('.json'));
+    const taxa = await Promise.all(files.map(async file => {
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(fixturesDir, file), 'utf8')).taxon;
+      } catch (error) {
+        console.error(`Error reading recording ${file}:`, error.message);
+        return null;
+      }
+    }));
+    return taxa.filter(Boolean).sort();
+  };
+  
+  // Start a recording for a fetch, or load the one to replay
+  // Resolves to null in live mode
+  const openRecording = async (taxon) => {
+    if (mode === 'record') {
+      return { taxon, recorded_at: new Date().toISOString(), base_url: baseUrl, responses: {} };
+    }
+    if (mode !== 'replay') {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(await fs.promises.readFile(recordingPath(taxon), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw dataSourceError(`The recording for ${taxon} can't be read`, error.message);
+      }
+      const recorded = await listRecordedTaxa();
+      throw dataSourceError(`No recording for ${taxon}. Offline mode can only fetch ${recorded.length > 0
+        ? `these taxa: ${recorded.join(', ')}`
+        : 'recorded taxa, and none have been recorded yet'}.`);
+    }
+  };
+  
+  const saveRecording = async (recording) => {
+    if (mode !== 'record') {
+      return;
+    }
+    await fs.promises.mkdir(fixturesDir, { recursive: true });
+    await fs.promises.writeFile(recordingPath(recording.taxon), JSON.stringify(recording, null, 2));
+    console.log(`Recorded ${Object.keys(recording.responses).length} GloBI responses for ${recording.taxon}`);
+  };
+  
+  // GET a GloBI endpoint and turn its { columns, data } table into objects
+  // The response is added to the recording, or taken from it in replay mode
+  const getTable = async (pathname, params, { signal, recording } = {}) => {
+    const key = requestKey(pathname, params);
+    const toObjects = ({ columns = [], data = [] }) =>
+      data.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    
+    if (mode === 'replay') {
+      if (!recording || !recording.responses[key]) {
+        throw dataSourceError(`The recording${recording ? ` for ${recording.taxon}` : ''} has no response for ${key}`);
+      }
+      return toObjects(recording.responses[key]);
+    }
+    
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}${pathname}`);
+    Object.entries(params || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+    
+    let response;
+    try {
+      response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw dataSourceError('Could not reach the GloBI API', error.message);
+    }
+    
+    if (!response.ok) {
+      throw dataSourceError(`The GloBI API answered with status ${response.status}`, await response.text());
+    }
+    
+    const table = await response.json();
+    if (recording) {
+      recording.responses[key] = table;
+    }
+    return toObjects(table);
+  };
+  
+  // Read kingdom, class, order and family from a taxon path like
+  // "Animalia | Chordata | Mammalia" and its ranks "kingdom | phylum | class",
+  // or from items like "family:Canidae" when the ranks are missing
+  const parseTaxonPath = (taxonPath, taxonPathRanks) => {
+    const taxonomy = {};
+    const names = (taxonPath || '').split('|').map(part => part.trim());
+    const ranks = (taxonPathRanks || '').split('|').map(part => part.trim());
+    
+    names.forEach((name, index) => {
+      const prefixed = name.match(/^(kingdom|class|order|family):(.+)$/);
+      const rank = prefixed ? prefixed[1] : ranks[index];
+      const value = prefixed ? prefixed[2].trim() : name;
+      if (['kingdom', 'class', 'order', 'family'].includes(rank) && value) {
+        taxonomy[rank] = value;
+      }
+    });
+    return taxonomy;
+  };
+  
+  // Pick the English name from common names like "gray wolf @en | loup @fr"
+  const englishName = (commonNames) => {
+    const name = (commonNames || '').split('|').map(part => part.trim()).find(part => part.endsWith('@en'));
+    return name ? name.replace(/\s*@en$/, '') : null;
+  };
+  
+  const resolveTaxonomy = async (name, { signal, recording } = {}) => {
+    // Recordings must hold every lookup of a fetch, so only live mode uses the cache
+    const key = normalizeSearchText(name);
+    if (mode === 'live' && taxonomyCache.has(key)) {
+      return taxonomyCache.get(key);
+    }
+    
+    const matches = await getTable(`/findCloseMatchesForTaxon/${encodeURIComponent(name)}`, null, { signal, recording });
+    const match = matches.find(row => normalizeSearchText(row.taxon_name || '') === key);
+    const taxonomy = match
+      ? { ...parseTaxonPath(match.taxon_path, match.taxon_path_ranks), vernacular_name: englishName(match.taxon_common_names) }
+      : null;
+    
+    taxonomyCache.set(key, taxonomy);
+    return taxonomy;
+  };
+  
+  return {
+    name: 'globi',
+    baseUrl,
+    mode,
+    resolveTaxonomy,
+    listRecordedTaxa,
+    
+    async fetchInteractions(requestedTaxon, { signal, onProgress } = {}) {
+      const recording = await openRecording(requestedTaxon);
+      // Replays must send the requests with the spelling that was recorded
+      const taxon = mode === 'replay' ? recording.taxon : requestedTaxon;
+      
+      // Count the records of every prey and interaction type, page by page
+      const counts = new Map();
+      const paths = new Map();
+      // Progress counts every page an interaction type may have, the pages
+      // of a type that runs out early are skipped
+      const pagesPerType = Math.ceil(maxRecords / pageSize);
+      
+      for (const [typeIndex, interactionType] of FETCH_INTERACTION_TYPES.entries()) {
+        for (let offset = 0; offset < maxRecords; offset += pageSize) {
+          if (onProgress) {
+            onProgress({
+              stage: 'interactions',
+              current: typeIndex * pagesPerType + offset / pageSize + 1,
+              total: FETCH_INTERACTION_TYPES.length * pagesPerType,
+              interactionType
+            });
+          }
+          
+          const page = await getTable('/interaction', {
+            sourceTaxon: taxon,
+            interactionType,
+            fields: 'target_taxon_name,target_taxon_path,target_taxon_path_ranks',
+            limit: pageSize,
+            offset
+          }, { signal, recording });
+          
+          page.filter(row => row.target_taxon_name).forEach(row => {
+            const key = `${row.target_taxon_name}|${interactionType}`;
+            const entry = counts.get(key) || { species: row.target_taxon_name, interaction_type: interactionType, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+            if (!paths.has(row.target_taxon_name)) {
+              paths.set(row.target_taxon_name, parseTaxonPath(row.target_taxon_path, row.target_taxon_path_ranks));
+            }
+          });
+          
+          if (page.length < pageSize) {
+            break;
+          }
+        }
+      }
+      
+      if (counts.size === 0) {
+        // Record the empty answer too, so replays fail the same way
+        await saveRecording(recording);
+        throw dataSourceError(`No interactions found for ${taxon}. The species may not exist in the GloBI database.`);
+      }
+      
+      // Take the taxonomy of each prey from its GloBI path and the local
+      // index, and only look up the ones that are still missing a family
+      const taxonomies = new Map();
+      const preyNames = Array.from(paths.keys());
+      for (const [index, species] of preyNames.entries()) {
+        if (onProgress) {
+          onProgress({ stage: 'taxonomy', current: index + 1, total: preyNames.length, species });
+        }
+        
+        const taxonomy = completeTaxonomy({ species, ...paths.get(species) });
+        const resolved = taxonomy.family ? null : await resolveTaxonomy(species, { signal, recording });
+        Object.entries(resolved || {}).forEach(([field, value]) => {
+          if (!taxonomy[field]) {
+            taxonomy[field] = value;
+          }
+        });
+        taxonomies.set(species, taxonomy);
+      }
+      
+      // The common name of the predator is nice to have, don't fail without it
+      const predator = await resolveTaxonomy(taxon, { signal, recording }).catch(() => null);
+      await saveRecording(recording);
+      
+      return {
+        vernacularName: predator && predator.vernacular_name,
+        // Replayed data is as old as its recording
+        generatedAt: mode === 'replay' ? recording.recorded_at : null,
+        records: keepAnimalPrey(Array.from(counts.values(), entry => ({
+          ...taxonomies.get(entry.species),
+          interaction_type: entry.interaction_type,
+          count: entry.count
+        })))
+      };
+    }
+  };
+};
+
+// R script adapter
+// Runs wolf-prey-network-real-data.r, which needs R with rglobi, dplyr,
+// jsonlite and taxize, and reads the hierarchy file it writes into records.
+// The script looks up the taxonomy of every prey itself.
+
+// Matches the progress lines printed by the R script, e.g.
+// "Processing species 3 of 120 : Sus scrofa ( preysOn )"
+const PROGRESS_PATTERN = /Processing species (\d+) of (\d+) : (.+?) \(/;
+
+const createRScriptDataSource = ({
+  command = 'Rscript',
+  script = path.join(__dirname, 'wolf-prey-network-real-data.r')
+} = {}) => {
+  // Run the script for a taxon and report its progress lines
+  const runScript = (taxon, outputDir, { signal, onProgress }) => new Promise((resolve, reject) => {
+    const childProcess = spawn(command, [script, taxon, outputDir]);
+    console.log(`Started R process for ${taxon} with PID: ${childProcess.pid}`);
+    
+    let stdoutBuffer = '';
+    let stderr = '';
+    
+    const abort = () => childProcess.kill('SIGTERM');
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    
+    childProcess.stdout.on('data', (chunk) => {
+      stdoutBuffer += chunk.toString();
+      
+      // Only handle complete lines, keep the remainder for the next chunk
+      const lines = stdoutBuffer.split('\n');
+      stdoutBuffer = lines.pop();
+      lines.forEach(line => {
+        const match = line.match(PROGRESS_PATTERN);
+        if (match && onProgress) {
+          onProgress({ stage: 'taxonomy', current: parseInt(match[1], 10), total: parseInt(match[2], 10), species: match[3].trim() });
+        }
+      });
+    });
+    
+    childProcess.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    
+    // Set up error handling for the child process
+    childProcess.on('error', (error) => {
+      console.error(`Child process error: ${error.message}`);
+      reject(dataSourceError('Failed to fetch data', error.message));
+    });
+    
+    childProcess.on('close', (code) => {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      
+      if (signal && signal.aborted) {
+        return reject(new Error('The R script was stopped'));
+      }
+      
+      if (code !== 0) {
+        console.error(`Error: R script exited with code ${code}`);
+        return reject(dataSourceError('Failed to fetch data', stderr || `R script exited with code ${code}`));
+      }
+      
+      if (stderr) {
+        console.error(`stderr: ${stderr}`);
+        // Some R scripts output warnings to stderr but still succeed
+        // Only treat this as an error if it contains specific error patterns
+        if (stderr.includes('Error:') || stderr.includes('could not find')) {
+          return reject(dataSourceError('R script reported an error', stderr));
+        }
+      }
+      
+      resolve();
+    });
+  });
+  
+  return {
+    name: 'r',
+    
+    async fetchInteractions(taxon, { signal, onProgress } = {}) {
+      const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'prey-network-'));
+      
+      try {
+        await runScript(taxon, outputDir, { signal, onProgress });
+        
+        // The script names its output after the taxon as given, every space an underscore
+        const fileName = `${taxon.replace(/ /g, '_')}_prey_hierarchy.json`;
+        const contents = await createLocalStorage(outputDir).read(fileName);
+        if (!contents) {
+          throw dataSourceError('Data file was not created. The species may not exist in the GloBI database.');
+        }
+        
+        const hierarchy = parseHierarchy(contents, fileName);
+        return {
+          vernacularName: hierarchy.metadata.predator.vernacular_name,
+          records: flattenHierarchy(hierarchy).map(row => ({
+            species: row.species,
+            vernacular_name: row.vernacular_name,
+            kingdom: row.kingdom,
+            class: row.class,
+            family: row.family,
+            interaction_type: row.interaction_type,
+            count: row.value
+          }))
+        };
+      } finally {
+        await fs.promises.rm(outputDir, { recursive: true, force: true });
+      }
+    },
+    
+    // The R script has no standalone taxonomy lookup
+    async resolveTaxonomy() {
+      return null;
+    }
+  };
+};
+
+// Create the data source selected by DATA_SOURCE
+const createDataSource = () => {
+  const source = process.env.DATA_SOURCE || 'globi';
+  
+  const mode = process.env.GLOBI_MODE || 'live';
+  
+  switch (source) {
+    case 'globi':
+      return createGlobiDataSource({
+        baseUrl: process.env.GLOBI_API_URL || undefined,
+        mode,
+        fixturesDir: process.env.GLOBI_FIXTURES_DIR || undefined
+      });
+    case 'r':
+      if (mode !== 'live') {
+        throw new Error(`GLOBI_MODE=${mode} only works with DATA_SOURCE=globi`);
+      }
+      return createRScriptDataSource();
+    default:
+      throw new Error(`Unknown data source: ${source}`);
+  }
+};
+
+let dataSource = createDataSource();
+console.log(`Using ${dataSource.name} data source${dataSource.mode && dataSource.mode !== 'live' ? ` in ${dataSource.mode} mode` : ''}`);
+
+// Replace the data source, e.g. with a GloBI adapter that talks to a stub server
+const setDataSource = (source) => {
+  dataSource = source;
+};
+
+// Background fetch jobs, keyed by job ID
+// Each job wraps one data source fetch and keeps its latest progress so that
+// clients can poll the status endpoint or subscribe to the event stream
+const jobs = new Map();
+
+// How long finished jobs are kept around for status lookups (1 hour)
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Set a timeout for a data source fetch (10 minutes)
+const FETCH_TIMEOUT_MS = 600000;
+
+// Limits for the fetch worker queue, configurable through the environment
+// MAX_CONCURRENT_FETCHES caps how many fetches run at the same time, whichever
+// the data source. MAX_R_PROCESSES, its name from before the GloBI adapter,
+// is still read when it isn't set. MAX_QUEUED_FETCHES caps how many jobs may
+// wait for a free slot
+const MAX_CONCURRENT_FETCHES = parseInt(process.env.MAX_CONCURRENT_FETCHES || process.env.MAX_R_PROCESSES, 10) || 2;
+const MAX_QUEUED_FETCHES = parseInt(process.env.MAX_QUEUED_FETCHES, 10) || 10;
+
+// Seconds a client is asked to wait before retrying when the queue is full
+const QUEUE_RETRY_AFTER_SECONDS = parseInt(process.env.QUEUE_RETRY_AFTER_SECONDS, 10) || 60;
+
+// Per-client rate limit for the fetch route (requests per window)
+const FETCH_RATE_LIMIT = parseInt(process.env.FETCH_RATE_LIMIT, 10) || 5;
+const FETCH_RATE_WINDOW_MS = parseInt(process.env.FETCH_RATE_WINDOW_MS, 10) || 15 * 60 * 1000;
+
+// Jobs waiting for a free fetch slot, in arrival order
+const fetchQueue = [];
+
+// Number of fetches currently running
+let runningFetchCount = 0;
+
+// Queued or running jobs keyed by normalized taxon, so that concurrent
+// requests for the same predator attach to a single fetch
+const activeJobsByTaxon = new Map();
+
+// Request timestamps per client IP for the fetch rate limiter
+const fetchRequestLog = new Map();
+
+// Normalize a taxon name for comparisons ("canis  Lupus" -> "canis lupus")
+const normalizeTaxon = (taxon) => taxon.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Spell a taxon name the way scientific names are written, from its
+// normalized name with the genus capitalized ("canis  Lupus" -> "Canis lupus")
+const canonicalTaxonName = (taxon) => {
+  const name = normalizeTaxon(taxon);
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+};
+
+// Build the name of the hierarchy file for a taxon from its canonical name,
+// so that every spelling fetch jobs treat as the same taxon shares one file
+// ("canis  lupus familiaris" -> "Canis_lupus_familiaris")
+const hierarchyFileName = (taxon) => `${canonicalTaxonName(taxon).replace(/ /g, '_')}_prey_hierarchy.json`;
+
+// Create a short random job ID
+const createJobId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Public view of a job (without listeners and process handles)
+const serializeJob = (job) => ({
+  id: job.id,
+  predator: job.predator,
+  status: job.status,
+  queuePosition: job.status === 'queued' ? fetchQueue.indexOf(job) + 1 : null,
+  progress: job.progress,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  error: job.error,
+  details: job.details
+});
+
+// Push an event to every client subscribed to the job
+const emitJobEvent = (job, event, payload) => {
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  job.listeners.forEach(listener => listener.write(message));
+};
+
+// Mark a job as finished and close all open event streams
+const finishJob = (job, status, error, details) => {
+  const wasRunning = job.status === 'running';
+  
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.error = error || null;
+  job.details = details || null;
+  
+  emitJobEvent(job, status === 'succeeded' ? 'done' : 'failed', serializeJob(job));
+  job.listeners.forEach(listener => listener.end());
+  job.listeners.clear();
+  
+  activeJobsByTaxon.delete(normalizeTaxon(job.predator));
+  
+  // Forget the job after the retention period
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  
+  // Hand the freed fetch slot to the next queued job
+  if (wasRunning) {
+    runningFetchCount--;
+    startQueuedJobs();
+  }
+};
+
+// Update the job progress with the species the data source is working on
+const updateJobProgress = (job, { stage, current, total, species = null, interactionType = null }) => {
+  // Stages go at their own pace, so the estimate starts over with each stage
+  if (!job.progress) {
+    job.stageStartedAt = Date.parse(job.startedAt);
+  } else if (job.progress.stage !== stage) {
+    job.stageStartedAt = Date.now();
+  }
+  const completed = current - 1;
+  const elapsedMs = Date.now() - job.stageStartedAt;
+  
+  job.progress = {
+    stage,
+    current,
+    total,
+    species,
+    interactionType,
+    // Estimate the remaining time of the stage from the average time per finished step
+    etaSeconds: completed > 0 ? Math.round((elapsedMs / completed) * (total - completed) / 1000) : null
+  };
+  
+  emitJobEvent(job, 'progress', job.progress);
+};
+
+// Build the hierarchy file of a job from the fetched records and store it
+const storeFetchedDataset = async (job, { vernacularName, records, generatedAt }) => {
+  if (records.length === 0) {
+    throw dataSourceError(`No animal prey found for ${job.predator} in GloBI.`);
+  }
+  
+  // Name the predator like the checklist does, or at least spell it like a
+  // scientific name, however the request wrote it
+  const entry = taxonIndex.get(normalizeSearchText(job.predator));
+  const scientificName = entry ? entry.scientificName : canonicalTaxonName(job.predator);
+  
+  const fileName = hierarchyFileName(job.predator);
+  const metadata = {
+    source: dataSource.name,
+    generated_at: generatedAt || new Date().toISOString(),
+    query: {
+      taxon: scientificName,
+      interaction_types: FETCH_INTERACTION_TYPES,
+      data_source: dataSource.name,
+      replayed: dataSource.mode === 'replay',
+      job_id: job.id
+    }
+  };
+  
+  // Prefer the common name from the checklist over the one of the data source
+  const predatorName = (entry && Array.from(entry.vernacularNames)[0]) || vernacularName || scientificName;
+  const hierarchy = buildHierarchy(`${predatorName} (${scientificName})`, records, metadata);
+  
+  const errors = validateHierarchy(hierarchy);
+  if (errors.length > 0) {
+    throw dataSourceError('The fetched data is malformed', errors.join('\n'));
+  }
+  
+  const contents = JSON.stringify(hierarchy, null, 2);
+  await fs.promises.writeFile(path.join(dataDir, fileName), contents);
+  rememberValidated(fileName, contents);
+  indexHierarchyFile(fileName);
+  
+  // Record the local file in the manifest first, so its checksum and date
+  // always describe the bytes /data serves. Then write it through to the
+  // storage backend, the local copy is still usable if that fails
+  datasetManifest.datasets[fileName] = describeDataset(fileName, metadata);
+  try {
+    await persistDataset(fileName);
+  } catch (error) {
+    console.error(`Error storing ${job.predator} dataset:`, error);
+  }
+  await saveManifest();
+};
+
+// Fetch a job's predator from the data source and track its progress
+const runFetchJob = (job) => {
+  runningFetchCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  emitJobEvent(job, 'status', serializeJob(job));
+  
+  console.log(`Fetching ${job.predator} from the ${dataSource.name} data source (job ${job.id})`);
+  
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  
+  dataSource.fetchInteractions(job.predator, {
+    signal: controller.signal,
+    onProgress: progress => updateJobProgress(job, progress)
+  })
+    .then(result => storeFetchedDataset(job, result))
+    .then(() => {
+      console.log(`Finished fetching data for ${job.predator} (job ${job.id})`);
+      finishJob(job, 'succeeded');
+    })
+    .catch(error => {
+      if (controller.signal.aborted) {
+        return finishJob(job, 'failed', 'Request timed out. The data fetch took too long to complete.');
+      }
+      
+      console.error(`Error fetching data for ${job.predator} (job ${job.id}):`, error.message);
+      finishJob(job, 'failed', error.message, error.details);
+    })
+    .finally(() => clearTimeout(timer));
+};
+
+// Start queued jobs while there are free fetch slots
+const startQueuedJobs = () => {
+  while (runningFetchCount < MAX_CONCURRENT_FETCHES && fetchQueue.length > 0) {
+    runFetchJob(fetchQueue.shift());
+  }
+  
+  // Let waiting clients know that they moved up in the queue
+  fetchQueue.forEach(job => emitJobEvent(job, 'status', serializeJob(job)));
+};
+
+// Only allow alphanumeric characters, spaces, and periods used in scientific names
+// This keeps taxon names safe to pass to the R script and the GloBI API
+const isValidTaxonName = (taxon) => /^[a-zA-Z0-9 .]+$/.test(taxon);
+
+// Start a fetch job for a taxon, or attach to the one already running for it
+// Returns { job, attached }, or { queueFull: true } when no job could be queued
+const startFetchJob = (predator) => {
+  const existingJob = activeJobsByTaxon.get(normalizeTaxon(predator));
+  if (existingJob) {
+    return { job: existingJob, attached: true };
+  }
+  
+  if (runningFetchCount >= MAX_CONCURRENT_FETCHES && fetchQueue.length >= MAX_QUEUED_FETCHES) {
+    return { queueFull: true };
+  }
+  
+  const job = {
+    id: createJobId(),
+    predator,
+    status: 'queued',
+    progress: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    details: null,
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+  activeJobsByTaxon.set(normalizeTaxon(job.predator), job);
+  
+  fetchQueue.push(job);
+  startQueuedJobs();
+  
+  return { job, attached: false };
+};
+
+// Count a fetch request against the limit of a client
+// Returns 0 when the request is allowed, otherwise the seconds until the
+// client may retry, which is when the oldest request in the window expires
+const chargeFetchRequest = (client) => {
+  const now = Date.now();
+  const recent = (fetchRequestLog.get(client) || []).filter(time => now - time < FETCH_RATE_WINDOW_MS);
+  
+  if (recent.length >= FETCH_RATE_LIMIT) {
+    fetchRequestLog.set(client, recent);
+    return Math.ceil((recent[0] + FETCH_RATE_WINDOW_MS - now) / 1000);
+  }
+  
+  recent.push(now);
+  fetchRequestLog.set(client, recent);
+  return 0;
+};
+
+// Answer a request of a client that is over its fetch rate limit
+const rejectRateLimited = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: `Too many data fetch requests. Please try again in ${retryAfter} seconds.`,
+    retryAfter
+  });
+};
+
+// Middleware that limits how many fetch requests a client may make per window
+// Requests that attach to a job already running for their taxon start no new
+// work, so they are let through for free. res.locals.joiningActiveJob tells
+// the route, which charges them after all if the job is gone by the time it
+// would attach to it
+const fetchRateLimiter = (req, res, next) => {
+  const predator = req.query.predator;
+  if (typeof predator === 'string' && activeJobsByTaxon.has(normalizeTaxon(predator))) {
+    res.locals.joiningActiveJob = true;
+    return next();
+  }
+  
+  const retryAfter = chargeFetchRequest(req.ip);
+  if (retryAfter > 0) {
+    return rejectRateLimited(res, retryAfter);
+  }
+  
+  next();
+};
+
+// Periodically drop clients without recent requests from the rate limiter
+setInterval(() => {
+  const now = Date.now();
+  fetchRequestLog.forEach((times, client) => {
+    if (times.every(time => now - time >= FETCH_RATE_WINDOW_MS)) {
+      fetchRequestLog.delete(client);
+    }
+  });
+}, FETCH_RATE_WINDOW_MS).unref();
+
+// API endpoint to fetch fresh data for a predator
+// Starts a background job and returns its ID straight away
+app.post('/api/fetch-predator-data', fetchRateLimiter, async (req, res) => {
+  // Collapse whitespace, so that the dataset is named like its file
+  const predator = typeof req.query.predator === 'string' ? req.query.predator.trim().replace(/\s+/g, ' ') : '';
+  
+  if (!predator) {
+    return res.status(400).json({ success: false, error: 'Predator taxon is required' });
+  }
+  
+  console.log(`Fetching fresh data for ${predator}...`);
+  
+  // Validate the predator input to prevent command injection
+  if (!isValidTaxonName(predator)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Invalid characters in predator name. Please use only letters, numbers, spaces, and periods.' 
+    });
+  }
+  
+  // Offline mode can only fetch what has been recorded, say so right away
+  if (dataSource.mode === 'replay') {
+    let recordedTaxa;
+    try {
+      recordedTaxa = await dataSource.listRecordedTaxa();
+    } catch (error) {
+      console.error('Error listing recorded taxa:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'The recordings for offline mode could not be read',
+        details: error.message
+      });
+    }
+    if (!recordedTaxa.some(taxon => normalizeTaxon(taxon) === normalizeTaxon(predator))) {
+      return res.status(404).json({
+        success: false,
+        error: `No recording for ${predator}. Offline mode can only fetch ${recordedTaxa.length > 0
+          ? `these taxa: ${recordedTaxa.join(', ')}`
+          : 'recorded taxa, and none have been recorded yet'}.`,
+        recordedTaxa
+      });
+    }
+  }
+  
+  // A request let through for free to join a job that finished in the
+  // meantime would start a new one, so it counts against the limit after all
+  if (res.locals.joiningActiveJob && !activeJobsByTaxon.has(normalizeTaxon(predator))) {
+    const retryAfter = chargeFetchRequest(req.ip);
+    if (retryAfter > 0) {
+      return rejectRateLimited(res, retryAfter);
+    }
+  }
+  
+  const { job, attached, queueFull } = startFetchJob(predator);
+  
+  // Refuse new work when every fetch slot is busy and the queue is full
+  if (queueFull) {
+    res.set('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+    return res.status(429).json({
+      success: false,
+      error: 'The server is busy fetching data for other predators. Please try again later.',
+      retryAfter: QUEUE_RETRY_AFTER_SECONDS
+    });
+  }
+  
+  if (attached) {
+    console.log(`Attaching request for ${predator} to running job ${job.id}`);
+  }
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    attached,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+});
+
+// API endpoint to check the status of a fetch job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Server-Sent Events stream with the progress of a fetch job
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Send the current state first so late subscribers are up to date
+  res.write(`event: status\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+  
+  if (job.status === 'succeeded' || job.status === 'failed') {
+    res.write(`event: ${job.status === 'succeeded' ? 'done' : 'failed'}\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+    return res.end();
+  }
+  
+  if (job.progress) {
+    res.write(`event: progress\ndata: ${JSON.stringify(job.progress)}\n\n`);
+  }
+  
+  job.listeners.add(res);
+  
+  // Keep the connection alive through proxies with idle timeouts
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+});
+
+// Taxon name index used for species autocompletion
+// Built from the bundled taxonomic checklist plus every taxon that appears
+// in a cached hierarchy file, keyed by normalized scientific name
+const taxonIndex = new Map();
+
+// Class and order of each known family, used to classify prey
+const familyTaxonomyIndex = new Map();
+
+// Reverse index answering "who eats this species" across all cached hierarchies
+// Maps a normalized prey name to a Map of normalized predator name -> link
+const preyIndex = new Map();
+
+// Bundled checklist of well-known predators and prey with vernacular names
+const checklistPath = path.join(__dirname, 'data', 'taxon_checklist.json');
+
+// Bundled table of the class and order of common families
+const familyTaxonomyPath = path.join(__dirname, 'data', 'family_taxonomy.json');
+
+// Lowercase, strip accents and collapse whitespace so names compare loosely
+const normalizeSearchText = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 -]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Split a hierarchy label like "Gray wolf (Canis lupus)" into its names
+const parseTaxonLabel = (label) => {
+  const match = label.match(/^(.+?) \((.+)\)$/);
+  if (!match) {
+    return { scientificName: label.trim(), vernacularName: null };
+  }
+  
+  const vernacularName = match[1].trim();
+  const scientificName = match[2].trim();
+  return {
+    scientificName,
+    // The R script repeats the scientific name when no common name is known
+    vernacularName: vernacularName === scientificName ? null : vernacularName
+  };
+};
+
+// Add a taxon to the index, merging with what is already known about it
+const addToTaxonIndex = (taxon) => {
+  const key = normalizeSearchText(taxon.scientificName);
+  if (!key) {
+    return;
+  }
+  
+  const entry = taxonIndex.get(key) || {
+    scientificName: taxon.scientificName,
+    vernacularNames: new Set(),
+    // Outdated scientific names that still turn up in papers and field guides
+    synonyms: new Set(),
+    rank: null,
+    family: null,
+    order: null,
+    class: null,
+    kingdom: null,
+    hasDataset: false
+  };
+  
+  (taxon.vernacularNames || []).forEach(name => entry.vernacularNames.add(name));
+  (taxon.synonyms || []).forEach(name => entry.synonyms.add(name));
+  ['rank', 'family', 'order', 'class', 'kingdom'].forEach(field => {
+    if (!entry[field] && taxon[field] && taxon[field] !== 'Unknown') {
+      entry[field] = taxon[field];
+    }
+  });
+  entry.hasDataset = entry.hasDataset || Boolean(taxon.hasDataset);
+  
+  taxonIndex.set(key, entry);
+};
+
+// Load the bundled checklist into the index
+const indexChecklist = () => {
+  try {
+    const checklist = JSON.parse(fs.readFileSync(checklistPath, 'utf8'));
+    checklist.forEach(taxon => {
+      addToTaxonIndex(taxon);
+      if (taxon.family && taxon.class && !familyTaxonomyIndex.has(taxon.family)) {
+        familyTaxonomyIndex.set(taxon.family, { class: taxon.class, order: taxon.order || null });
+      }
+    });
+    console.log(`Indexed ${checklist.length} taxa from the taxonomic checklist`);
+  } catch (error) {
+    console.error('Error loading taxonomic checklist:', error);
+  }
+};
+
+// Load the bundled family table into the family index
+const indexFamilyTaxonomy = () => {
+  try {
+    const families = JSON.parse(fs.readFileSync(familyTaxonomyPath, 'utf8'));
+    families.forEach(({ family, ...taxonomy }) => familyTaxonomyIndex.set(family, taxonomy));
+    console.log(`Indexed ${families.length} families from the family table`);
+  } catch (error) {
+    console.error('Error loading family table:', error);
+  }
+};
+
+// Look up the class and order of a taxon, from the taxon index or its family
+const lookupTaxonomy = (scientificName, familyName) => {
+  const entry = taxonIndex.get(normalizeSearchText(scientificName)) || {};
+  const family = familyTaxonomyIndex.get(familyName) || {};
+  return {
+    class: entry.class || family.class || null,
+    order: entry.order || family.order || null
+  };
+};
+
+// Fill in the class and order of a family node and of its species leaves
+// Species keep what they already know. A family takes its entry in the family
+// table, or else the class and order its species agree on, so that a family
+// of mixed taxa like "Unknown" stays unclassified.
+const classifyFamily = (family) => {
+  if (!family || typeof family !== 'object' || !Array.isArray(family.children)) {
+    return family;
+  }
+  
+  const { children, ...attributes } = family;
+  const leaves = children.map(leaf => {
+    if (!leaf || typeof leaf !== 'object' || typeof leaf.name !== 'string') {
+      return leaf;
+    }
+    const taxonomy = lookupTaxonomy(parseTaxonLabel(leaf.name).scientificName, family.name);
+    return { ...leaf, class: leaf.class || taxonomy.class, order: leaf.order || taxonomy.order };
+  });
+  
+  const known = familyTaxonomyIndex.get(family.name) || {};
+  const sharedValue = (key) => {
+    const values = new Set(leaves.map(leaf => leaf && leaf[key]).filter(Boolean));
+    return values.size === 1 ? Array.from(values)[0] : null;
+  };
+  
+  return {
+    ...attributes,
+    class: family.class || known.class || sharedValue('class'),
+    order: family.order || known.order || sharedValue('order'),
+    children: leaves
+  };
+};
+
+// Remove everything a predator contributed to the reverse prey index
+const removePredatorFromPreyIndex = (predatorKey) => {
+  preyIndex.forEach((predators, preyKey) => {
+    predators.delete(predatorKey);
+    if (predators.size === 0) {
+      preyIndex.delete(preyKey);
+    }
+  });
+};
+
+// Record in the reverse index that a predator eats a prey taxon
+const addToPreyIndex = (preyName, predator, file, leaf, familyName) => {
+  const preyKey = normalizeSearchText(preyName);
+  const predatorKey = normalizeSearchText(predator.scientificName);
+  const predators = preyIndex.get(preyKey) || new Map();
+  
+  const link = predators.get(predatorKey) || {
+    predator: predator.scientificName,
+    vernacularName: predator.vernacularName,
+    file,
+    family: familyName,
+    count: 0,
+    interactionTypes: new Set()
+  };
+  
+  link.count += leaf.value || 0;
+  leafInteractionTypes(leaf).forEach(type => link.interactionTypes.add(type));
+  
+  predators.set(predatorKey, link);
+  preyIndex.set(preyKey, predators);
+};
+
+// Add the predator and every prey taxon of a hierarchy file to the taxon index,
+// and link the prey back to the predator in the reverse prey index
+const indexHierarchyFile = (name) => {
+  try {
+    const hierarchy = parseHierarchy(fs.readFileSync(path.join(dataDir, name), 'utf8'), name);
+    const predator = parseTaxonLabel(hierarchy.name);
+    
+    // Replace what an older version of this dataset contributed
+    removePredatorFromPreyIndex(normalizeSearchText(predator.scientificName));
+    
+    addToTaxonIndex({
+      scientificName: predator.scientificName,
+      vernacularNames: predator.vernacularName ? [predator.vernacularName] : [],
+      hasDataset: true
+    });
+    
+    (hierarchy.children || []).forEach(kingdom => {
+      (kingdom.children || []).forEach(family => {
+        (family.children || []).forEach(species => {
+          const prey = parseTaxonLabel(species.name);
+          addToTaxonIndex({
+            scientificName: prey.scientificName,
+            vernacularNames: prey.vernacularName ? [prey.vernacularName] : [],
+            // GloBI uses genus and family names as targets too, so only binomials count as species
+            rank: prey.scientificName.split(' ').length >= 2 ? 'species' : null,
+            family: family.name,
+            order: species.order || family.order,
+            class: species.class || family.class,
+            kingdom: kingdom.name
+          });
+          addToPreyIndex(prey.scientificName, predator, name, species, family.name);
+        });
+      });
+    });
+  } catch (error) {
+    console.error(`Error indexing ${name}:`, error);
+  }
+};
+
+// Rebuild the whole index from the checklist and the local dataset cache
+const rebuildTaxonIndex = () => {
+  taxonIndex.clear();
+  familyTaxonomyIndex.clear();
+  preyIndex.clear();
+  indexFamilyTaxonomy();
+  indexChecklist();
+  
+  if (fs.existsSync(dataDir)) {
+    fs.readdirSync(dataDir)
+      .filter(file => HIERARCHY_FILE_PATTERN.test(file))
+      .forEach(file => indexHierarchyFile(file));
+  }
+  
+  console.log(`Taxon index contains ${taxonIndex.size} taxa`);
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+};
+
+// Score how well a normalized query matches a name, 0 means no match
+// Exact and prefix matches rank above word prefixes, substrings and typos
+const scoreNameMatch = (query, name) => {
+  const candidate = normalizeSearchText(name);
+  
+  if (candidate === query) {
+    return 100;
+  }
+  if (candidate.startsWith(query)) {
+    // Prefer completions that add fewer characters
+    return 90 - Math.min(candidate.length - query.length, 20) / 2;
+  }
+  if (candidate.split(' ').some(word => word.startsWith(query))) {
+    return 70;
+  }
+  if (candidate.includes(query)) {
+    return 50;
+  }
+  
+  // Tolerate a few typos, scaled to the length of the query
+  const maxDistance = query.length < 5 ? 1 : query.length < 9 ? 2 : 3;
+  const distance = Math.min(
+    levenshtein(query, candidate),
+    levenshtein(query, candidate.slice(0, query.length))
+  );
+  
+  return distance <= maxDistance ? 40 - distance * 10 : 0;
+};
+
+// Find the best matching taxa for a query, ranked by score
+const searchTaxonIndex = (query, limit) => {
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) {
+    return [];
+  }
+  
+  const matches = [];
+  
+  taxonIndex.forEach(entry => {
+    let best = { score: 0, matchedName: null };
+    
+    [entry.scientificName, ...entry.vernacularNames, ...entry.synonyms].forEach(name => {
+      const score = scoreNameMatch(normalizedQuery, name);
+      if (score > best.score) {
+        best = { score, matchedName: name };
+      }
+    });
+    
+    if (best.score > 0) {
+      // Taxa with a cached dataset can be shown without waiting for a fetch
+      const score = best.score + (entry.hasDataset ? 5 : 0) + (entry.rank === 'species' ? 1 : 0);
+      matches.push({ entry, score, matchedName: best.matchedName });
+    }
+  });
+  
+  return matches
+    .sort((a, b) => b.score - a.score || a.entry.scientificName.localeCompare(b.entry.scientificName))
+    .slice(0, limit)
+    .map(({ entry, score, matchedName }) => {
+      const vernacularName = Array.from(entry.vernacularNames)[0] || null;
+      return {
+        id: entry.scientificName,
+        name: vernacularName ? `${vernacularName} (${entry.scientificName})` : entry.scientificName,
+        scientificName: entry.scientificName,
+        vernacularName,
+        matchedName,
+        matchedSynonym: entry.synonyms.has(matchedName),
+        rank: entry.rank,
+        family: entry.family,
+        class: entry.class,
+        hasDataset: entry.hasDataset,
+        score
+      };
+    });
+};
+
+// API endpoint for species autocompletion
+app.get('/api/suggest-species', (req, res) => {
+  const query = req.query.q;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 25);
+  
+  // Repeated parameters like ?q=a&q=b arrive as an array
+  if (query !== undefined && typeof query !== 'string') {
+    return res.status(400).json({ success: false, error: 'Query parameter q must be given once' });
+  }
+  
+  if (!query || query.trim().length < 2) {
+    return res.json({ suggestions: [] });
+  }
+  
+  res.json({ suggestions: searchTaxonIndex(query, limit) });
+});
+
+// API endpoint resolving a taxon that has no dataset
+// Returns the taxon the query names exactly, by scientific name, common name
+// or synonym, plus close matches for misspelled queries
+app.get('/api/resolve-species', (req, res) => {
+  const query = req.query.q;
+  
+  // Repeated parameters like ?q=a&q=b arrive as an array
+  if (query !== undefined && typeof query !== 'string') {
+    return res.status(400).json({ success: false, error: 'Query parameter q must be given once' });
+  }
+  
+  if (!query || !query.trim()) {
+    return res.status(400).json({ success: false, error: 'Missing query parameter q' });
+  }
+  
+  const normalizedQuery = normalizeSearchText(query);
+  const matches = searchTaxonIndex(query, 6);
+  const match = matches.find(item => normalizeSearchText(item.matchedName) === normalizedQuery) || null;
+  
+  res.json({
+    success: true,
+    query: query.trim(),
+    match,
+    suggestions: matches.filter(item => item !== match).slice(0, 5)
+  });
+});
+
+// Prey queries
+// Flattens the kingdom -> family -> species tree of a hierarchy file into rows
+// that can be filtered, sorted and paginated server-side
+
+// Sort keys accepted by the prey endpoint, prefix with "-" for descending order
+const PREY_SORT_FIELDS = ['value', 'species', 'family', 'kingdom', 'class', 'interaction_type'];
+
+// Accept "Vulpes_vulpes" as well as "Vulpes vulpes" in URLs
+const taxonFromParam = (param) => param.replace(/_/g, ' ').trim();
+
+// Parsed hierarchies of the local cache by file name, with the checksum of
+// the contents they were parsed from. Callers must not modify them
+const parsedHierarchies = new Map();
+
+// Read a predator's hierarchy, restoring it from the storage backend if needed
+// A file is only read again once the manifest has a new checksum for it, and
+// only validated again when it isn't the version that passed validation
+// Resolves to null when no dataset exists for the taxon
+const loadHierarchy = async (taxon) => {
+  const name = hierarchyFileName(taxon);
+  
+  if (!HIERARCHY_FILE_PATTERN.test(name) || !(await ensureLocalDataset(name))) {
+    return null;
+  }
+  
+  const entry = datasetManifest.datasets[name];
+  const cached = parsedHierarchies.get(name);
+  if (!entry || !cached || cached.sha256 !== entry.sha256) {
+    const contents = await fs.promises.readFile(path.join(dataDir, name));
+    const sha256 = crypto.createHash('sha256').update(contents).digest('hex');
+    parsedHierarchies.set(name, {
+      sha256,
+      hierarchy: validatedDatasets.get(name) === sha256 ? JSON.parse(contents) : parseHierarchy(contents, name)
+    });
+  }
+  
+  return { file: name, ...parsedHierarchies.get(name) };
+};
+
+// Look up the class of a prey taxon, from the leaf itself, the taxon index or its family
+const lookupPreyClass = (leaf, scientificName, familyName) => leaf.class
+  || lookupTaxonomy(scientificName, familyName).class;
 
-// IMPORTANT: Create a route to serve files from the writable tmp directory
-// This allows the frontend to access files written to /tmp/data
-app.use('/data', express.static('/tmp/data'));
+// Turn a hierarchy into one row per prey leaf and interaction type
+const flattenHierarchy = (hierarchy) => {
+  const predator = parseTaxonLabel(hierarchy.name).scientificName;
+  const rows = [];
+  
+  (hierarchy.children || []).forEach(kingdom => {
+    (kingdom.children || []).forEach(family => {
+      (family.children || []).forEach(leaf => {
+        const { scientificName, vernacularName } = parseTaxonLabel(leaf.name);
+        const preyClass = lookupPreyClass(leaf, scientificName, family.name);
+        
+        Object.entries(leaf.interactions || {}).forEach(([type, count]) => {
+          rows.push({
+            predator,
+            kingdom: kingdom.name,
+            class: preyClass,
+            family: family.name,
+            species: scientificName,
+            vernacular_name: vernacularName,
+            interaction_type: type === UNKNOWN_INTERACTION_TYPE ? null : type,
+            value: count
+          });
+        });
+      });
+    });
+  });
+  
+  return rows;
+};
 
-// Create the data directory in the writable /tmp folder if it doesn't exist
-const dataDir = '/tmp/data';
-try {
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-    console.log(`Created data directory at ${dataDir}`);
+// Split a comma separated query parameter into lowercase values
+const parseListParam = (value) => {
+  if (value === undefined || value === '') {
+    return null;
   }
-} catch (error) {
-  console.error('Error creating data directory:', error);
-}
+  return String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+};
 
-// API endpoint to fetch fresh data for a predator
-app.post('/api/fetch-predator-data', (req, res) => {
-  const predator = req.query.predator;
+// Opaque pagination cursors, tied to the dataset version they were issued for
+const encodeCursor = (offset, sha256) => Buffer
+  .from(JSON.stringify({ o: offset, h: sha256.slice(0, 12) }))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sha256) => {
+  try {
+    const { o, h } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(o) || o < 0 || h !== sha256.slice(0, 12)) {
+      return null;
+    }
+    return o;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query parameters of the prey endpoint, each may be given once
+const PREY_QUERY_PARAMS = ['sort', 'cursor', 'limit', 'min_value', 'q', 'kingdom', 'family', 'class', 'interaction_type'];
+
+// API endpoint with the filtered, sorted and paginated prey of a predator
+app.get('/api/predators/:taxon/prey', async (req, res) => {
+  const taxon = taxonFromParam(req.params.taxon);
   
-  if (!predator) {
-    return res.status(400).json({ success: false, error: 'Predator taxon is required' });
+  // Repeated parameters like ?sort=a&sort=b arrive as arrays, and
+  // bracketed ones like ?kingdom[a]=b as objects
+  const invalidParam = PREY_QUERY_PARAMS.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+  if (invalidParam) {
+    return res.status(400).json({ success: false, error: `${invalidParam} must be given once, as plain text` });
   }
   
-  console.log(`Fetching fresh data for ${predator}...`);
+  const { sort = '-value', cursor } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const minValue = req.query.min_value === undefined ? null : Number(req.query.min_value);
+  const nameQuery = req.query.q ? normalizeSearchText(req.query.q) : null;
   
-  // Sanitize the predator input to prevent command injection
-  // Only allow alphanumeric characters, spaces, and some special characters used in scientific names
-  const sanitizedPredator = predator.replace(/[^a-zA-Z0-9 \.]/g, '');
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer between 1 and 500' });
+  }
+  if (minValue !== null && Number.isNaN(minValue)) {
+    return res.status(400).json({ success: false, error: 'min_value must be a number' });
+  }
   
-  if (sanitizedPredator !== predator) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Invalid characters in predator name. Please use only letters, numbers, spaces, and periods.' 
+  // "name" is accepted as an alias for the species name
+  const sortField = sort.replace(/^-/, '') === 'name' ? 'species' : sort.replace(/^-/, '');
+  const sortDirection = sort.startsWith('-') ? -1 : 1;
+  if (!PREY_SORT_FIELDS.includes(sortField)) {
+    return res.status(400).json({
+      success: false,
+      error: `sort must be one of ${PREY_SORT_FIELDS.join(', ')}, optionally prefixed with "-"`
     });
   }
   
-  // Set a timeout for the R script (10 minutes)
-  const timeout = 600000;
+  try {
+    const dataset = await loadHierarchy(taxon);
+    if (!dataset) {
+      return res.status(404).json({ success: false, error: `No dataset found for ${taxon}` });
+    }
+    
+    let offset = 0;
+    if (cursor) {
+      offset = decodeCursor(cursor, dataset.sha256);
+      if (offset === null) {
+        return res.status(400).json({ success: false, error: 'Invalid or expired cursor' });
+      }
+    }
+    
+    const filters = {
+      kingdom: parseListParam(req.query.kingdom),
+      family: parseListParam(req.query.family),
+      class: parseListParam(req.query.class),
+      interaction_type: parseListParam(req.query.interaction_type)
+    };
+    
+    const rows = flattenHierarchy(dataset.hierarchy)
+      .filter(row => Object.entries(filters).every(([field, values]) =>
+        !values || values.includes(String(row[field]).toLowerCase())))
+      .filter(row => minValue === null || row.value >= minValue)
+      .filter(row => !nameQuery
+        || normalizeSearchText(row.species).includes(nameQuery)
+        || (row.vernacular_name && normalizeSearchText(row.vernacular_name).includes(nameQuery)));
+    
+    // Sort with the species name as tie-breaker so pages are stable
+    rows.sort((a, b) => {
+      const left = a[sortField];
+      const right = b[sortField];
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left || '').localeCompare(String(right || ''));
+      return order * sortDirection || a.species.localeCompare(b.species);
+    });
+    
+    const items = rows.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+    
+    res.json({
+      success: true,
+      predator: dataset.hierarchy.name,
+      total: rows.length,
+      count: items.length,
+      items,
+      nextCursor: nextOffset < rows.length ? encodeCursor(nextOffset, dataset.sha256) : null
+    });
+  } catch (error) {
+    console.error(`Error querying prey of ${taxon}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to query prey', details: error.message });
+  }
+});
+
+// Hierarchy exports
+// Converts a hierarchy into flat CSV and the graph formats used by Gephi,
+// Cytoscape and R. Every node property except children is kept as a node
+// attribute so it survives a round trip through the graph formats.
+
+// Turn a hierarchy into numbered nodes and parent -> child edges
+const hierarchyToGraph = (hierarchy) => {
+  const nodes = [];
+  const edges = [];
   
-  // Execute R script with the predator taxon, pointing to the writable /tmp/data directory
-  const command = `Rscript wolf-prey-network-real-data.r "${sanitizedPredator}" "/tmp/data"`;
+  const visit = (node, parentId) => {
+    const id = `n${nodes.length}`;
+    const { scientificName, vernacularName } = parseTaxonLabel(node.name);
+    const attributes = {
+      rank: node.rank,
+      scientific_name: scientificName,
+      vernacular_name: vernacularName
+    };
+    
+    Object.entries(node).forEach(([key, value]) => {
+      // The file-level schema version and metadata aren't node attributes
+      if (['children', 'schema_version', 'metadata'].includes(key) || value === null || value === undefined) {
+        return;
+      }
+      // Nested values (e.g. breakdowns) are stored as JSON strings
+      attributes[key] = typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    
+    nodes.push({ id, label: node.name, attributes });
+    
+    if (parentId) {
+      edges.push({
+        id: `e${edges.length}`,
+        source: parentId,
+        target: id,
+        attributes: {
+          interaction_type: leafInteractionTypes(node).join(',') || null,
+          value: node.value === undefined ? null : node.value
+        }
+      });
+    }
+    
+    (node.children || []).forEach(child => visit(child, id));
+  };
   
-  const childProcess = exec(command, { timeout }, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      
-      // Check if it's a timeout error
-      if (error.signal === 'SIGTERM') {
-        return res.status(504).json({ 
-          success: false, 
-          error: 'Request timed out. The data fetch took too long to complete.' 
-        });
+  visit(hierarchy, null);
+  return { nodes, edges };
+};
+
+// Collect the attribute names of a list of elements with their types
+// An attribute is numeric only if every non-empty value is a number
+const collectAttributeTypes = (elements) => {
+  const types = new Map();
+  elements.forEach(element => {
+    Object.entries(element.attributes).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        if (!types.has(key)) {
+          types.set(key, null);
+        }
+        return;
       }
+      const type = typeof value === 'number' ? 'double' : typeof value === 'boolean' ? 'boolean' : 'string';
+      const current = types.get(key);
+      types.set(key, !current || current === type ? type : 'string');
+    });
+  });
+  
+  // Attributes that are always empty are declared as strings
+  types.forEach((type, key) => types.set(key, type || 'string'));
+  return types;
+};
+
+// Escape text for XML content and attribute values
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Escape a CSV field as described in RFC 4180
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flat CSV with one row per prey leaf
+const exportCsv = (hierarchy) => {
+  const columns = ['predator', 'kingdom', 'family', 'species', 'interaction_type', 'count'];
+  const rows = flattenHierarchy(hierarchy).map(row => [
+    row.predator,
+    row.kingdom,
+    row.family,
+    row.species,
+    row.interaction_type,
+    row.value
+  ]);
+  
+  return [columns, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+// GraphML with typed keys for every node and edge attribute
+const exportGraphml = (hierarchy) => {
+  const { nodes, edges } = hierarchyToGraph(hierarchy);
+  const nodeTypes = collectAttributeTypes(nodes);
+  const edgeTypes = collectAttributeTypes(edges);
+  
+  const keys = [
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    ...Array.from(nodeTypes, ([name, type]) =>
+      `  <key id="n_${escapeXml(name)}" for="node" attr.name="${escapeXml(name)}" attr.type="${type}"/>`),
+    ...Array.from(edgeTypes, ([name, type]) =>
+      `  <key id="e_${escapeXml(name)}" for="edge" attr.name="${escapeXml(name)}" attr.type="${type}"/>`)
+  ];
+  
+  const dataElements = (prefix, attributes) => Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `      <data key="${prefix}_${escapeXml(name)}">${escapeXml(value)}</data>`);
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...keys,
+    `  <graph id="${escapeXml(hierarchy.name)}" edgedefault="directed">`,
+    ...nodes.flatMap(node => [
+      `    <node id="${node.id}">`,
+      `      <data key="label">${escapeXml(node.label)}</data>`,
+      ...dataElements('n', node.attributes),
+      '    </node>'
+    ]),
+    ...edges.flatMap(edge => [
+      `    <edge id="${edge.id}" source="${edge.source}" target="${edge.target}">`,
+      ...dataElements('e', edge.attributes),
+      '    </edge>'
+    ]),
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+};
+
+// GEXF 1.3 with declared node and edge attributes
+const exportGexf = (hierarchy) => {
+  const { nodes, edges } = hierarchyToGraph(hierarchy);
+  const nodeTypes = Array.from(collectAttributeTypes(nodes));
+  const edgeTypes = Array.from(collectAttributeTypes(edges));
+  
+  const attributeDeclarations = (className, types) => [
+    `    <attributes class="${className}">`,
+    ...types.map(([name, type], i) =>
+      `      <attribute id="${i}" title="${escapeXml(name)}" type="${type}"/>`),
+    '    </attributes>'
+  ];
+  
+  const attributeValues = (types, attributes) => {
+    const values = types
+      .map(([name], i) => [i, attributes[name]])
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([i, value]) => `          <attvalue for="${i}" value="${escapeXml(value)}"/>`);
+    return values.length > 0 ? ['        <attvalues>', ...values, '        </attvalues>'] : [];
+  };
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>Predator-prey network visualization</creator>',
+    `    <description>${escapeXml(hierarchy.name)} prey hierarchy</description>`,
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    ...attributeDeclarations('node', nodeTypes),
+    ...attributeDeclarations('edge', edgeTypes),
+    '    <nodes>',
+    ...nodes.flatMap(node => [
+      `      <node id="${node.id}" label="${escapeXml(node.label)}">`,
+      ...attributeValues(nodeTypes, node.attributes),
+      '      </node>'
+    ]),
+    '    </nodes>',
+    '    <edges>',
+    ...edges.flatMap(edge => [
+      `      <edge id="${edge.id}" source="${edge.source}" target="${edge.target}"${typeof edge.attributes.value === 'number' ? ` weight="${edge.attributes.value}"` : ''}>`,
+      ...attributeValues(edgeTypes, edge.attributes),
+      '      </edge>'
+    ]),
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    ''
+  ].join('\n');
+};
+
+// Newick tree with quoted labels and the node attributes as NHX comments
+// NHX values are percent-encoded, as ":", "=" and "]" would break the comment
+const exportNewick = (hierarchy) => {
+  const quoteLabel = (label) => `'${String(label).replace(/'/g, "''")}'`;
+  const { nodes } = hierarchyToGraph(hierarchy);
+  let position = 0;
+  
+  const visit = (node) => {
+    const { attributes } = nodes[position++];
+    const children = (node.children || []).map(visit);
+    const nhx = Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `:${name}=${encodeURIComponent(String(value))}`)
+      .join('');
+    
+    return `${children.length > 0 ? `(${children.join(',')})` : ''}${quoteLabel(node.name)}[&&NHX${nhx}]`;
+  };
+  
+  return `${visit(hierarchy)};\n`;
+};
+
+// Cytoscape.js elements JSON
+const exportCytoscape = (hierarchy) => {
+  const { nodes, edges } = hierarchyToGraph(hierarchy);
+  
+  return JSON.stringify({
+    data: { name: hierarchy.name },
+    elements: {
+      nodes: nodes.map(node => ({ data: { id: node.id, label: node.label, ...node.attributes } })),
+      edges: edges.map(edge => ({ data: { id: edge.id, source: edge.source, target: edge.target, ...edge.attributes } }))
+    }
+  }, null, 2);
+};
+
+// Supported export formats with their serializer, content type and file extension
+const EXPORT_FORMATS = {
+  csv: { serialize: exportCsv, contentType: 'text/csv', extension: 'csv' },
+  graphml: { serialize: exportGraphml, contentType: 'application/graphml+xml', extension: 'graphml' },
+  gexf: { serialize: exportGexf, contentType: 'application/gexf+xml', extension: 'gexf' },
+  newick: { serialize: exportNewick, contentType: 'text/plain', extension: 'nwk' },
+  cytoscape: { serialize: exportCytoscape, contentType: 'application/json', extension: 'cyjs' }
+};
+
+// API endpoint exporting a predator's hierarchy in one of the export formats
+app.get('/api/predators/:taxon/export', async (req, res) => {
+  const taxon = taxonFromParam(req.params.taxon);
+  const formatName = String(req.query.format || 'csv').toLowerCase();
+  const format = EXPORT_FORMATS[formatName];
+  
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  
+  try {
+    const dataset = await loadHierarchy(taxon);
+    if (!dataset) {
+      return res.status(404).json({ success: false, error: `No dataset found for ${taxon}` });
+    }
+    
+    const fileName = `${taxon.replace(/ /g, '_')}_prey.${format.extension}`;
+    res.set({
+      'Content-Type': `${format.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(format.serialize(dataset.hierarchy));
+  } catch (error) {
+    console.error(`Error exporting ${taxon} as ${formatName}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to export dataset', details: error.message });
+  }
+});
+
+// Diet overlap comparison
+// Summarizes a predator's diet as record counts per prey species and family
+const summarizeDiet = (hierarchy) => {
+  const species = new Map();
+  const families = new Map();
+  
+  flattenHierarchy(hierarchy).forEach(row => {
+    const key = normalizeSearchText(row.species);
+    const entry = species.get(key) || { species: row.species, family: row.family, count: 0 };
+    entry.count += row.value;
+    species.set(key, entry);
+    families.set(row.family, (families.get(row.family) || 0) + row.value);
+  });
+  
+  return { species, families };
+};
+
+// Jaccard index of two sets of keys
+const jaccardIndex = (a, b) => {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) {
+    return 0;
+  }
+  return [...a].filter(key => b.has(key)).length / union.size;
+};
+
+// Pianka's niche overlap of two count maps, computed on diet proportions
+const piankaIndex = (a, b) => {
+  const totalA = Array.from(a.values()).reduce((sum, count) => sum + count, 0);
+  const totalB = Array.from(b.values()).reduce((sum, count) => sum + count, 0);
+  if (totalA === 0 || totalB === 0) {
+    return 0;
+  }
+  
+  let product = 0;
+  let squaresA = 0;
+  let squaresB = 0;
+  new Set([...a.keys(), ...b.keys()]).forEach(key => {
+    const p = (a.get(key) || 0) / totalA;
+    const q = (b.get(key) || 0) / totalB;
+    product += p * q;
+    squaresA += p * p;
+    squaresB += q * q;
+  });
+  
+  return product / Math.sqrt(squaresA * squaresB);
+};
+
+// Count-weighted Bray-Curtis similarity of two count maps
+const brayCurtisSimilarity = (a, b) => {
+  let shared = 0;
+  let total = 0;
+  new Set([...a.keys(), ...b.keys()]).forEach(key => {
+    const countA = a.get(key) || 0;
+    const countB = b.get(key) || 0;
+    shared += Math.min(countA, countB);
+    total += countA + countB;
+  });
+  return total === 0 ? 0 : 2 * shared / total;
+};
+
+// Round an index for the response
+const roundIndex = (value) => Math.round(value * 10000) / 10000;
+
+// Compare the diets of two or more predators, pairwise and as a whole
+const compareDiets = (predators) => {
+  const diets = predators.map(({ taxon, hierarchy }) => {
+    const diet = summarizeDiet(hierarchy);
+    return {
+      taxon,
+      name: hierarchy.name,
+      diet,
+      speciesCounts: new Map(Array.from(diet.species, ([key, entry]) => [key, entry.count]))
+    };
+  });
+  
+  const pairs = [];
+  for (let i = 0; i < diets.length; i++) {
+    for (let j = i + 1; j < diets.length; j++) {
+      const a = diets[i];
+      const b = diets[j];
+      const sharedSpecies = Array.from(a.diet.species.keys()).filter(key => b.diet.species.has(key));
+      const sharedFamilies = Array.from(a.diet.families.keys()).filter(family => b.diet.families.has(family));
       
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to fetch data', 
-        details: error.message 
+      pairs.push({
+        taxa: [a.taxon, b.taxon],
+        shared_species_count: sharedSpecies.length,
+        shared_family_count: sharedFamilies.length,
+        jaccard_species: roundIndex(jaccardIndex(new Set(a.diet.species.keys()), new Set(b.diet.species.keys()))),
+        jaccard_families: roundIndex(jaccardIndex(new Set(a.diet.families.keys()), new Set(b.diet.families.keys()))),
+        pianka: roundIndex(piankaIndex(a.speciesCounts, b.speciesCounts)),
+        bray_curtis: roundIndex(brayCurtisSimilarity(a.speciesCounts, b.speciesCounts)),
+        shared_species: sharedSpecies.map(key => a.diet.species.get(key).species).sort(),
+        shared_families: sharedFamilies.sort()
+      });
+    }
+  }
+  
+  // Prey eaten by every compared predator
+  const [first, ...rest] = diets;
+  const speciesSharedByAll = Array.from(first.diet.species.keys())
+    .filter(key => rest.every(diet => diet.diet.species.has(key)))
+    .map(key => ({
+      species: first.diet.species.get(key).species,
+      family: first.diet.species.get(key).family,
+      counts: Object.fromEntries(diets.map(diet => [diet.taxon, diet.diet.species.get(key).count]))
+    }))
+    .sort((a, b) => a.species.localeCompare(b.species));
+  const familiesSharedByAll = Array.from(first.diet.families.keys())
+    .filter(family => rest.every(diet => diet.diet.families.has(family)))
+    .sort();
+  
+  return {
+    predators: diets.map(diet => ({
+      taxon: diet.taxon,
+      name: diet.name,
+      species_count: diet.diet.species.size,
+      family_count: diet.diet.families.size,
+      record_count: Array.from(diet.speciesCounts.values()).reduce((sum, count) => sum + count, 0)
+    })),
+    shared: {
+      species: speciesSharedByAll,
+      families: familiesSharedByAll
+    },
+    pairs
+  };
+};
+
+// Largest number of predators that can be compared at once
+const MAX_COMPARE_TAXA = 6;
+
+// API endpoint comparing the diets of two or more predators
+app.get('/api/compare', async (req, res) => {
+  const taxa = Array.from(new Set(String(req.query.taxa || '')
+    .split(',')
+    .map(taxonFromParam)
+    .filter(Boolean)));
+  
+  if (taxa.length < 2 || taxa.length > MAX_COMPARE_TAXA) {
+    return res.status(400).json({
+      success: false,
+      error: `Provide between 2 and ${MAX_COMPARE_TAXA} comma separated taxa to compare`
+    });
+  }
+  
+  try {
+    const datasets = await Promise.all(taxa.map(loadHierarchy));
+    const missing = taxa.filter((taxon, i) => !datasets[i]);
+    
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No dataset found for ${missing.join(', ')}`,
+        missing
       });
     }
     
-    if (stderr) {
-      console.error(`stderr: ${stderr}`);
-      // Some R scripts output warnings to stderr but still succeed
-      // Only treat this as an error if it contains specific error patterns
-      if (stderr.includes('Error:') || stderr.includes('could not find')) {
-        return res.status(500).json({ 
-          success: false, 
-          error: 'R script reported an error', 
-          details: stderr 
-        });
+    res.json({
+      success: true,
+      taxa,
+      ...compareDiets(taxa.map((taxon, i) => ({ taxon, hierarchy: datasets[i].hierarchy })))
+    });
+  } catch (error) {
+    console.error(`Error comparing ${taxa.join(', ')}:`, error);
+    res.status(500).json({ success: false, error: 'Failed to compare diets', details: error.message });
+  }
+});
+
+// Hierarchy building
+// Groups interaction records into a kingdom -> family -> species hierarchy of
+// the current schema version. Each record has a species, an interaction type,
+// a count and optional kingdom, class, order, family and vernacular name.
+// metadata holds the source and generation date of the records.
+const buildHierarchy = (predatorLabel, records, metadata = {}) => {
+  // Merge the records of each prey, keeping a count per interaction type
+  const merged = new Map();
+  records.forEach(record => {
+    const key = normalizeSearchText(record.species);
+    const interactionType = record.interaction_type || UNKNOWN_INTERACTION_TYPE;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.count += record.count;
+      existing.interactions[interactionType] = (existing.interactions[interactionType] || 0) + record.count;
+    } else {
+      merged.set(key, { ...record, interactions: { [interactionType]: record.count } });
+    }
+  });
+  
+  // Sort by count (descending), like the R script
+  const sorted = Array.from(merged.values()).sort((a, b) => b.count - a.count);
+  
+  const kingdoms = new Map();
+  sorted.forEach(record => {
+    const kingdomName = record.kingdom || 'Unknown';
+    const familyName = record.family || 'Unknown';
+    
+    const families = kingdoms.get(kingdomName) || new Map();
+    kingdoms.set(kingdomName, families);
+    const leaves = families.get(familyName) || [];
+    families.set(familyName, leaves);
+    
+    const leaf = {
+      name: `${record.vernacular_name || record.species} (${record.species})`,
+      rank: 'species',
+      value: record.count,
+      interactions: record.interactions
+    };
+    if (record.class) {
+      leaf.class = record.class;
+    }
+    if (record.order) {
+      leaf.order = record.order;
+    }
+    leaves.push(leaf);
+  });
+  
+  const predator = parseTaxonLabel(predatorLabel);
+  
+  return {
+    schema_version: HIERARCHY_SCHEMA_VERSION,
+    metadata: {
+      predator: {
+        scientific_name: predator.scientificName,
+        vernacular_name: predator.vernacularName
+      },
+      source: metadata.source || null,
+      generated_at: metadata.generated_at || null
+    },
+    name: predatorLabel,
+    rank: 'predator',
+    children: Array.from(kingdoms, ([kingdomName, families]) => ({
+      name: kingdomName,
+      rank: 'kingdom',
+      children: Array.from(families, ([familyName, leaves]) => classifyFamily({
+        name: familyName,
+        rank: 'family',
+        children: leaves
+      }))
+    }))
+  };
+};
+
+// Fill in missing taxonomy of a record from the taxon index
+const completeTaxonomy = (record) => {
+  const entry = taxonIndex.get(normalizeSearchText(record.species));
+  const family = record.family || (entry && entry.family) || null;
+  const familyTaxonomy = (family && familyTaxonomyIndex.get(family)) || {};
+  const taxonClass = record.class || (entry && entry.class) || familyTaxonomy.class || null;
+  
+  return {
+    ...record,
+    family,
+    class: taxonClass,
+    order: record.order || (entry && entry.order) || familyTaxonomy.order || null,
+    // The checklist only holds animals, so a known class implies Animalia
+    kingdom: record.kingdom || (entry && entry.kingdom) || (taxonClass ? 'Animalia' : null)
+  };
+};
+
+// User uploads
+// Field teams can upload their own interaction records as CSV or TSV. Valid
+// uploads become private datasets: they are stored under an unguessable ID
+// and only reachable through it, so they don't show up in listings or indexes.
+
+// Interaction types accepted in uploads, the ones the visualization knows
+const UPLOAD_INTERACTION_TYPES = ['preysOn', 'eats', 'pollinates'];
+
+// Columns every upload must have, and the optional taxonomy columns
+const UPLOAD_REQUIRED_COLUMNS = ['predator', 'prey', 'interaction_type', 'count'];
+const UPLOAD_OPTIONAL_COLUMNS = ['kingdom', 'class', 'order', 'family', 'prey_common_name'];
+
+// Largest number of data rows accepted in one upload
+const MAX_UPLOAD_ROWS = 50000;
+
+// Most row errors reported for one upload
+const MAX_UPLOAD_ERRORS = 100;
+
+// Split delimited text into rows of fields, honoring quoted fields (RFC 4180)
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
       }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows;
+};
+
+// Check an upload and turn its rows into records per predator, keyed by the
+// canonical name of the predator
+// Returns { records } or { errors } with one entry per problem and row number
+const validateUpload = (text, contentType) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = /tab-separated/.test(contentType || '') || firstLine.includes('\t') ? '\t' : ',';
+  // Strip the byte order mark that spreadsheet programs like to add
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ''), delimiter)
+    .map((fields, i) => ({ fields, row: i + 1 }))
+    .filter(({ fields }) => fields.some(field => field.trim() !== ''));
+  
+  if (rows.length === 0) {
+    return { errors: [{ row: null, column: null, message: 'The upload is empty' }] };
+  }
+  
+  const header = rows[0].fields.map(column => column.trim().toLowerCase());
+  const missing = UPLOAD_REQUIRED_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return {
+      errors: missing.map(column => ({ row: 1, column, message: `Missing required column "${column}"` }))
+    };
+  }
+  
+  const dataRows = rows.slice(1);
+  if (dataRows.length === 0) {
+    return { errors: [{ row: null, column: null, message: 'The upload has no data rows' }] };
+  }
+  if (dataRows.length > MAX_UPLOAD_ROWS) {
+    return { errors: [{ row: null, column: null, message: `Uploads are limited to ${MAX_UPLOAD_ROWS} rows` }] };
+  }
+  
+  const columnIndex = Object.fromEntries(
+    [...UPLOAD_REQUIRED_COLUMNS, ...UPLOAD_OPTIONAL_COLUMNS].map(column => [column, header.indexOf(column)])
+  );
+  const valueOf = (fields, column) => columnIndex[column] >= 0
+    ? (fields[columnIndex[column]] || '').trim()
+    : '';
+  
+  const errors = [];
+  const records = new Map();
+  
+  dataRows.forEach(({ fields, row }) => {
+    const rowErrors = [];
+    const addError = (column, message) => rowErrors.push({ row, column, message });
+    
+    if (fields.length !== header.length) {
+      addError(null, `Expected ${header.length} columns but found ${fields.length}`);
     }
     
-    console.log(`stdout: ${stdout}`);
+    // Collapse whitespace like fetch requests do, so that spellings of
+    // the same taxon end up in one dataset and one leaf
+    const predator = valueOf(fields, 'predator').replace(/\s+/g, ' ');
+    const prey = valueOf(fields, 'prey').replace(/\s+/g, ' ');
+    const interactionType = valueOf(fields, 'interaction_type');
+    const countText = valueOf(fields, 'count');
+    const count = Number(countText);
     
-    // Check if the output file was created
-    const outputFilePath = path.join(
-      dataDir, 
-      `${sanitizedPredator.replace(' ', '_')}_prey_hierarchy.json`
-    );
+    if (!predator) {
+      addError('predator', 'Predator is required');
+    } else if (!isValidTaxonName(predator)) {
+      addError('predator', 'Predator may only contain letters, numbers, spaces and periods');
+    }
+    if (!prey) {
+      addError('prey', 'Prey is required');
+    } else if (!isValidTaxonName(prey)) {
+      addError('prey', 'Prey may only contain letters, numbers, spaces and periods');
+    }
+    if (!UPLOAD_INTERACTION_TYPES.includes(interactionType)) {
+      addError('interaction_type', `Interaction type must be one of ${UPLOAD_INTERACTION_TYPES.join(', ')}`);
+    }
+    if (!countText || !Number.isInteger(count) || count < 1) {
+      addError('count', 'Count must be a positive whole number');
+    }
     
-    if (!fs.existsSync(outputFilePath)) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Data file was not created. The species may not exist in the GloBI database.' 
-      });
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
     }
     
-    res.json({ success: true, message: 'Data fetched successfully' });
+    const predatorName = canonicalTaxonName(predator);
+    const predatorRecords = records.get(predatorName) || [];
+    predatorRecords.push(completeTaxonomy({
+      species: prey,
+      vernacular_name: valueOf(fields, 'prey_common_name') || null,
+      interaction_type: interactionType,
+      count,
+      kingdom: valueOf(fields, 'kingdom') || null,
+      class: valueOf(fields, 'class') || null,
+      order: valueOf(fields, 'order') || null,
+      family: valueOf(fields, 'family') || null
+    }));
+    records.set(predatorName, predatorRecords);
   });
   
-  // Log when the process starts
-  console.log(`Started R process for ${predator} with PID: ${childProcess.pid}`);
+  if (errors.length > 0) {
+    return { errors: errors.slice(0, MAX_UPLOAD_ERRORS), totalErrors: errors.length };
+  }
   
-  // Set up error handling for the child process
-  childProcess.on('error', (error) => {
-    console.error(`Child process error: ${error.message}`);
-  });
+  return { records, rowCount: dataRows.length };
+};
+
+// Storage key of a private uploaded dataset
+const uploadStorageName = (id) => `uploads/${id}.json`;
+
+// API endpoint to upload interaction records as CSV or TSV
+// Creates one private dataset per predator in the upload
+app.post('/api/uploads', express.text({
+  type: ['text/csv', 'text/tab-separated-values', 'text/plain'],
+  limit: '5mb'
+}), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Send the file contents as text/csv or text/tab-separated-values'
+    });
+  }
+  
+  const { records, rowCount, errors, totalErrors } = validateUpload(req.body, req.get('Content-Type'));
+  
+  if (errors) {
+    return res.status(422).json({
+      success: false,
+      error: 'The upload contains invalid rows',
+      errors,
+      totalErrors: totalErrors || errors.length
+    });
+  }
+  
+  try {
+    const createdAt = new Date().toISOString();
+    const hierarchies = Array.from(records, ([predator, predatorRecords]) => {
+      const entry = taxonIndex.get(normalizeSearchText(predator));
+      const scientificName = entry ? entry.scientificName : predator;
+      const vernacularName = entry && Array.from(entry.vernacularNames)[0];
+      return [predator, buildHierarchy(`${vernacularName || scientificName} (${scientificName})`, predatorRecords, {
+        source: 'upload',
+        generated_at: createdAt
+      })];
+    });
+    
+    // Store nothing unless every dataset of the upload matches the schema
+    const schemaErrors = hierarchies.flatMap(([predator, hierarchy]) =>
+      validateHierarchy(hierarchy).map(error => `${predator}: ${error}`));
+    if (schemaErrors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: `The upload does not match hierarchy schema version ${HIERARCHY_SCHEMA_VERSION}`,
+        errors: schemaErrors
+      });
+    }
+    
+    const datasets = [];
+    
+    for (const [predator, hierarchy] of hierarchies) {
+      const id = crypto.randomBytes(16).toString('hex');
+      await datasetStorage.write(uploadStorageName(id), JSON.stringify(hierarchy, null, 2));
+      
+      datasets.push({
+        id,
+        predator,
+        name: hierarchy.name,
+        url: `/api/uploads/${id}`,
+        source: 'upload',
+        filename: req.query.filename || null,
+        created_at: createdAt,
+        ...summarizeHierarchy(hierarchy)
+      });
+    }
+    
+    console.log(`Stored ${datasets.length} uploaded datasets from ${rowCount} rows`);
+    res.status(201).json({ success: true, rowCount, datasets });
+  } catch (error) {
+    console.error('Error storing upload:', error);
+    res.status(500).json({ success: false, error: 'Failed to store the upload', details: error.message });
+  }
 });
 
-// API endpoint for species autocompletion (for future enhancement)
-app.get('/api/suggest-species', (req, res) => {
-  const query = req.query.q;
+// API endpoint returning the hierarchy of a private uploaded dataset
+app.get('/api/uploads/:id', async (req, res) => {
+  if (!/^[a-f0-9]{32}$/.test(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Upload not found' });
+  }
   
-  if (!query || query.length < 3) {
-    return res.json({ suggestions: [] });
+  try {
+    const contents = await datasetStorage.read(uploadStorageName(req.params.id));
+    if (!contents) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    // Uploads stored before schema versions existed are upgraded on the fly
+    const hierarchy = parseHierarchy(contents, `Upload ${req.params.id}`, { source: 'upload' });
+    
+    // Private datasets must not end up in shared caches
+    res.set('Cache-Control', 'private, no-cache');
+    res.json(hierarchy);
+  } catch (error) {
+    console.error(`Error reading upload ${req.params.id}:`, error);
+    if (error.validationErrors) {
+      return res.status(500).json({ success: false, error: error.message, errors: error.validationErrors });
+    }
+    res.status(500).json({ success: false, error: 'Failed to read the upload', details: error.message });
   }
+});
+
+// API endpoint listing the cached predators known to eat a prey taxon
+app.get('/api/prey/:taxon/predators', (req, res) => {
+  const taxon = taxonFromParam(req.params.taxon);
+  const predators = preyIndex.get(normalizeSearchText(taxon)) || new Map();
   
-  // For now, we'll return a static list for demonstration
-  // In a production environment, this would call an external API
-  const suggestions = [
-    { id: "Panthera leo", name: "Lion (Panthera leo)" },
-    { id: "Panthera tigris", name: "Tiger (Panthera tigris)" },
-    { id: "Ursus arctos", name: "Brown bear (Ursus arctos)" },
-    { id: "Canis lupus", name: "Gray wolf (Canis lupus)" },
-    { id: "Vulpes vulpes", name: "Red fox (Vulpes vulpes)" }
-  ].filter(item => 
-    item.id.toLowerCase().includes(query.toLowerCase()) || 
-    item.name.toLowerCase().includes(query.toLowerCase())
-  );
+  const results = Array.from(predators.values())
+    .map(link => {
+      // Fall back to the checklist for a common name of the predator
+      const entry = taxonIndex.get(normalizeSearchText(link.predator));
+      const vernacularName = link.vernacularName || (entry && Array.from(entry.vernacularNames)[0]);
+      return {
+        predator: link.predator,
+        name: vernacularName ? `${vernacularName} (${link.predator})` : link.predator,
+        family: link.family,
+        count: link.count,
+        interaction_types: Array.from(link.interactionTypes).sort(),
+        dataset: link.file
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.predator.localeCompare(b.predator));
   
-  res.json({ suggestions });
+  res.json({
+    success: true,
+    prey: taxon,
+    total: results.length,
+    predators: results
+  });
 });
 
 // Serve the React app for all other routes
@@ -163,7 +3068,57 @@ const copyDefaultDataFiles = () => {
   }
 };
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Prepare the local dataset cache, the manifest and the indexes at startup
+const initializeDatasets = async () => {
   copyDefaultDataFiles();
-});
+  await loadManifest();
+  
+  // Restoring and upgrading legacy files runs the migrations, which classify
+  // prey, so load the taxonomy references first
+  indexFamilyTaxonomy();
+  indexChecklist();
+  
+  // Restore datasets that only exist in the storage backend, so that every
+  // index covers all cached predators
+  for (const name of Object.keys(datasetManifest.datasets)) {
+    try {
+      await ensureLocalDataset(name);
+    } catch (error) {
+      console.error(`Error restoring ${name}:`, error);
+    }
+  }
+  
+  // Bring legacy files in the cache up to the current schema version
+  for (const name of fs.readdirSync(dataDir).filter(file => HIERARCHY_FILE_PATTERN.test(file))) {
+    try {
+      if (await upgradeHierarchyFile(name, datasetManifest.datasets[name])) {
+        await persistDataset(name);
+      }
+    } catch (error) {
+      console.error(`Error upgrading ${name}:`, error.message, error.validationErrors || '');
+    }
+  }
+  
+  await reconcileManifest();
+  rebuildTaxonIndex();
+};
+
+// Only start listening when run directly, so tests can require the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    initializeDatasets();
+  });
+}
+
+module.exports = {
+  app,
+  initializeDatasets,
+  createLocalStorage,
+  createMemoryStorage,
+  createGcsStorage,
+  setDatasetStorage,
+  createGlobiDataSource,
+  createRScriptDataSource,
+  setDataSource
+};
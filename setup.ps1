@@ -7,78 +7,31 @@ New-Item -ItemType Directory -Force -Path "data" | Out-Null
 New-Item -ItemType Directory -Force -Path "public\data" | Out-Null
 
 # Check if R is installed and in PATH
+# R is optional: the server fetches data from the GloBI API directly by default
 $rInstalled = $null
 try {
     $rInstalled = Get-Command Rscript -ErrorAction Stop
     Write-Host "Found R installation at: $($rInstalled.Source)" -ForegroundColor Green
 } catch {
-    Write-Host "Error: R does not appear to be installed or is not in your PATH" -ForegroundColor Red
-    Write-Host "Please install R from https://cran.r-project.org/bin/windows/base/" -ForegroundColor Yellow
-    Write-Host "After installing, make sure R's bin directory is in your PATH" -ForegroundColor Yellow
-    exit 1
+    Write-Host "R was not found, skipping the R data source setup" -ForegroundColor Yellow
+    Write-Host "The server fetches data from the GloBI API without R. R is only needed for DATA_SOURCE=r" -ForegroundColor Yellow
 }
 
-# Install required R packages if needed
-Write-Host "Installing required R packages..." -ForegroundColor Cyan
-Rscript -e "if (!require('rglobi')) install.packages('rglobi'); if (!require('dplyr')) install.packages('dplyr'); if (!require('jsonlite')) install.packages('jsonlite'); if (!require('taxize')) install.packages('taxize')"
+if ($rInstalled) {
+    # Install required R packages if needed
+    Write-Host "Installing required R packages..." -ForegroundColor Cyan
+    Rscript -e "if (!require('rglobi')) install.packages('rglobi'); if (!require('dplyr')) install.packages('dplyr'); if (!require('jsonlite')) install.packages('jsonlite'); if (!require('taxize')) install.packages('taxize')"
 
-# Run R script to fetch data for all predators
-Write-Host "Fetching predator-prey data from GloBI..." -ForegroundColor Cyan
-Rscript wolf-prey-network-real-data.r
+    # Run R script to fetch data for all predators
+    Write-Host "Fetching predator-prey data from GloBI..." -ForegroundColor Cyan
+    Rscript wolf-prey-network-real-data.r
 
-# Copy JSON files to the public directory for the React app to access
-Write-Host "Copying data files to public directory..." -ForegroundColor Cyan
-Copy-Item -Path "data\*.json" -Destination "public\data\" -Force
-
-# Create server.js file to serve the React app and handle API requests
-Write-Host "Creating server.js file..." -ForegroundColor Cyan
-$serverContent = @'
-const express = require('express');
-const { exec } = require('child_process');
-const path = require('path');
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Serve static files
-app.use(express.static('public'));
-app.use('/data', express.static('public/data'));
-
-// API endpoint to fetch fresh data for a predator
-app.post('/api/fetch-predator-data', (req, res) => {
-  const predator = req.query.predator;
-  
-  if (!predator) {
-    return res.status(400).json({ error: 'Predator taxon is required' });
-  }
-  
-  console.log(`Fetching fresh data for ${predator}...`);
-  
-  // Execute R script with the predator taxon - use double quotes for Windows paths
-  exec(`Rscript wolf-prey-network-real-data.r "${predator}" "public\\data"`, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error: ${error.message}`);
-      return res.status(500).json({ error: 'Failed to fetch data', details: error.message });
-    }
-    
-    if (stderr) {
-      console.error(`stderr: ${stderr}`);
+    # Copy JSON files to the public directory for the React app to access
+    if (Test-Path "data\*_prey_hierarchy.json") {
+        Write-Host "Copying data files to public directory..." -ForegroundColor Cyan
+        Copy-Item -Path "data\*_prey_hierarchy.json" -Destination "public\data\" -Force
     }
-    
-    console.log(`stdout: ${stdout}`);
-    res.json({ success: true, message: 'Data fetched successfully' });
-  });
-});
-
-// Serve the React app for all other routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
-'@
-Set-Content -Path "server.js" -Value $serverContent
+}
 
 # Create package.json if it doesn't exist
 Write-Host "Setting up package.json..." -ForegroundColor Cyan
@@ -153,7 +106,9 @@ try {
 }
 
 Write-Host "`nSetup complete! You can now build and run the application." -ForegroundColor Green
-Write-Host "To fetch data for all predators: npm run fetch-data" -ForegroundColor Cyan
+if ($rInstalled) {
+    Write-Host "To fetch data for all predators with R: npm run fetch-data" -ForegroundColor Cyan
+}
 Write-Host "To start the server: npm start" -ForegroundColor Cyan
 
 # Provide instructions on how to run in PowerShell
@@ -2,29 +2,630 @@ import React, { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
 import _ from 'lodash';
 
+// Hierarchy file schema version this view understands, see the README
+const HIERARCHY_SCHEMA_VERSION = 4;
+
+// Trees with more families than this start with their species hidden
+const COLLAPSE_FAMILIES_ABOVE = 20;
+
+// Layouts the hierarchy can be drawn in
+const LAYOUTS = [
+  { id: "radial", label: "Radial tree" },
+  { id: "dendrogram", label: "Dendrogram" },
+  { id: "sunburst", label: "Sunburst" },
+  { id: "icicle", label: "Icicle" },
+  { id: "treemap", label: "Treemap" }
+];
+
+// Layouts with collapsible nodes and links, the others zoom into cells
+const TREE_LAYOUTS = ["radial", "dendrogram"];
+
+// Illuminum brand colors
+const brandColors = {
+  darkPurple: "#2D217A",
+  sunriseYellow: "#F2AF29",
+  glacierBlue: "#2FACBC",
+  grassGreen: "#4DA02D",
+  flamingRed: "#F25C33",
+  carbonBlack: "#1C1D20",
+  mediumGrey: "#4B4B4B",
+  lightGrey: "#D2D2D2",
+  pureWhite: "#FFFFFF"
+};
+
+// Class shown for taxa the hierarchy doesn't classify
+const UNKNOWN_CLASS = "Unknown";
+
+// Colors handed out to the prey classes of a dataset, most common class first:
+// the brand colors, then the blue, purple, pink and brown of Tableau 10
+const CLASS_PALETTE = [
+  brandColors.grassGreen,
+  brandColors.sunriseYellow,
+  brandColors.glacierBlue,
+  brandColors.flamingRed,
+  "#b3de69",
+  "#4e79a7",
+  "#af7aa1",
+  "#ff9da7",
+  "#9c755f"
+];
+
+// Palette for a number of classes, evenly spaced hues when the fixed one runs out
+const classPalette = count => count <= CLASS_PALETTE.length
+  ? CLASS_PALETTE.slice(0, count)
+  : d3.range(count).map(i => d3.interpolateRainbow(i / count));
+
+// Color of each class of a dataset, given its classes most common first
+const classColorScale = classCounts => {
+  const classes = classCounts.map(([className]) => className).filter(className => className !== UNKNOWN_CLASS);
+  return d3.scaleOrdinal(classes, classPalette(classes.length)).unknown(brandColors.mediumGrey);
+};
+
+// Link and ring colors of the interaction types
+const interactionColorMap = {
+  "preysOn": brandColors.flamingRed,
+  "eats": brandColors.grassGreen,
+  "pollinates": brandColors.sunriseYellow
+};
+
+// Filters of the prey on display, the defaults show every species
+const DEFAULT_FILTERS = {
+  hiddenInteractionTypes: [],
+  hiddenClasses: [],
+  minCount: 0,
+  // Families to show, all of them when empty
+  families: []
+};
+
+// Class of a species leaf, species the hierarchy doesn't classify take the
+// class of their family
+const speciesClass = (leaf, family) => leaf.class || family.class || UNKNOWN_CLASS;
+
+// Every species leaf of a hierarchy together with its family
+const hierarchySpecies = hierarchy => _.flatMap(hierarchy.children || [], kingdom =>
+  _.flatMap(kingdom.children || [], family =>
+    (family.children || []).map(leaf => ({ leaf, family }))));
+
+// What a dataset can be filtered by: its classes with their number of
+// species, most common first, its interaction types, its families and the
+// largest number of records of a species
+const filterOptions = hierarchy => {
+  const species = hierarchySpecies(hierarchy);
+  const classCounts = _.countBy(species, ({ leaf, family }) => speciesClass(leaf, family));
+  const knownTypes = Object.keys(interactionColorMap);
+
+  return {
+    classes: _.sortBy(Object.entries(classCounts), [
+      ([className]) => className === UNKNOWN_CLASS,
+      ([, count]) => -count,
+      ([className]) => className
+    ]),
+    interactionTypes: _.sortBy(_.uniq(_.flatMap(species, ({ leaf }) => Object.keys(leaf.interactions || {}))), [
+      type => (knownTypes.includes(type) ? knownTypes.indexOf(type) : knownTypes.length),
+      type => type
+    ]),
+    families: _.uniq(species.map(({ family }) => family.name)).sort(),
+    maxCount: _.max(species.map(({ leaf }) => leaf.value)) || 0
+  };
+};
+
+// Prune a hierarchy to the species that pass the filters. Species lose the
+// records of hidden interaction types, and families and kingdoms left without
+// species are dropped
+const filterHierarchy = (hierarchy, filters) => {
+  const filterLeaf = (leaf, family) => {
+    if (filters.hiddenClasses.includes(speciesClass(leaf, family))) {
+      return null;
+    }
+    const interactions = _.omit(leaf.interactions || {}, filters.hiddenInteractionTypes);
+    const value = _.sum(Object.values(interactions));
+    if (_.isEmpty(interactions) || value < filters.minCount) {
+      return null;
+    }
+    return { ...leaf, value, interactions };
+  };
+
+  const families = kingdom => (kingdom.children || [])
+    .filter(family => filters.families.length === 0 || filters.families.includes(family.name))
+    .map(family => ({
+      ...family,
+      children: (family.children || []).map(leaf => filterLeaf(leaf, family)).filter(Boolean)
+    }))
+    .filter(family => family.children.length > 0);
+
+  return {
+    ...hierarchy,
+    children: (hierarchy.children || [])
+      .map(kingdom => ({ ...kingdom, children: families(kingdom) }))
+      .filter(kingdom => kingdom.children.length > 0)
+  };
+};
+
+// Predator shown when the URL doesn't name one
+const DEFAULT_PREDATOR = "Canis lupus";
+
+// Taxon names a URL may carry, anything else is dropped. Same rule as the
+// server's isValidTaxonName, so every name that passes can also be fetched
+const TAXON_NAME_PATTERN = /^[a-zA-Z0-9 .]+$/;
+
+// Predators have routes like /predator/Vulpes_vulpes, served by the
+// server's catch-all
+const PREDATOR_ROUTE = /^\/predator\/([^/]+)\/?$/;
+
+const predatorPath = taxon => `/predator/${encodeURIComponent(taxon.replace(/ /g, "_"))}`;
+
+// Build a URL from a path and query parameters, commas are left readable so
+// that lists in the query string survive being pasted into a chat
+const viewUrl = (pathname, params) => {
+  const query = Array.from(params, ([name, value]) => `${name}=${encodeURIComponent(value).replace(/%2C/g, ",")}`)
+    .join("&");
+  return query ? `${pathname}?${query}` : pathname;
+};
+
+// Trail of predators reached by pivoting from prey to prey. The route names
+// the predator in view and the query string the trail around it, like
+// /predator/Lepus_americanus?trail=Canis_lupus,Lepus_americanus. The position
+// in the trail is left out when it is the last taxon
+const trailFromLocation = location => {
+  const params = new URLSearchParams(location.search);
+  const taxa = (params.get("trail") || "").split(",")
+    .map(taxon => taxon.replace(/_/g, " ").trim())
+    .filter(taxon => TAXON_NAME_PATTERN.test(taxon));
+  const at = Number(params.get("at"));
+  const trail = taxa.length > 0 ? {
+    taxa,
+    index: params.has("at") && Number.isInteger(at) && at >= 0 && at < taxa.length ? at : taxa.length - 1
+  } : null;
+
+  const route = location.pathname.match(PREDATOR_ROUTE);
+  const routeTaxon = route ? decodeURIComponent(route[1]).replace(/_/g, " ").trim() : null;
+  if (routeTaxon && TAXON_NAME_PATTERN.test(routeTaxon) && !(trail && trail.taxa[trail.index] === routeTaxon)) {
+    // A route the trail doesn't lead to, typed or edited by hand, starts a new trail
+    return { taxa: [routeTaxon], index: 0 };
+  }
+  return trail || { taxa: [DEFAULT_PREDATOR], index: 0 };
+};
+
+// URL of a step of the trail. The layout, filters and find query carry over,
+// the zoom, pinned node and picked families belong to the predator left behind
+const trailUrl = trail => {
+  const params = new URLSearchParams(window.location.search);
+  ["trail", "at", "zoom", "node", "families"].forEach(name => params.delete(name));
+  if (trail.taxa.length > 1) {
+    params.set("trail", trail.taxa.map(taxon => taxon.replace(/ /g, "_")).join(","));
+    if (trail.index !== trail.taxa.length - 1) {
+      params.set("at", trail.index);
+    }
+  }
+  return viewUrl(predatorPath(trail.taxa[trail.index]), params);
+};
+
+// The rest of the view is kept in the query string, so that it can be
+// bookmarked and reopened exactly, e.g. ?layout=sunburst&hide_classes=Aves
+// &min_count=2&zoom=120,-40,1.5&node=...&find=lepus
+const viewFromSearch = search => {
+  const params = new URLSearchParams(search);
+  const list = name => (params.get(name) || "").split(",").map(value => value.trim()).filter(Boolean);
+  const minCount = Number(params.get("min_count"));
+  const [x, y, k] = (params.get("zoom") || "").split(",").map(Number);
+  const match = Number(params.get("match"));
+  return {
+    layout: LAYOUTS.some(option => option.id === params.get("layout")) ? params.get("layout") : "radial",
+    filters: {
+      hiddenInteractionTypes: list("hide_types"),
+      hiddenClasses: list("hide_classes"),
+      minCount: Number.isInteger(minCount) && minCount > 0 ? minCount : 0,
+      families: list("families")
+    },
+    zoom: [x, y, k].every(Number.isFinite) && k > 0 ? d3.zoomIdentity.translate(x, y).scale(k) : null,
+    node: params.get("node"),
+    find: params.get("find") || "",
+    match: Number.isInteger(match) && match > 0 ? match : 0
+  };
+};
+
+// Query parameters of a view, defaults are left out
+const viewParams = ({ layout, filters, node, find, match }) => ({
+  layout: layout === "radial" ? null : layout,
+  hide_types: filters.hiddenInteractionTypes.join(","),
+  hide_classes: filters.hiddenClasses.join(","),
+  min_count: filters.minCount > 0 ? String(filters.minCount) : null,
+  families: filters.families.join(","),
+  node,
+  find: find.trim(),
+  match: find.trim() && match > 0 ? String(match) : null
+});
+
+// Parts of a view that wait for its dataset to be loaded
+const pendingFromView = view => ({ zoom: view.zoom, node: view.node, families: view.filters.families });
+
+// Query parameter of a pan and zoom, left out when the view isn't moved
+const zoomParam = transform => transform.x === 0 && transform.y === 0 && transform.k === 1
+  ? null
+  : [Math.round(transform.x), Math.round(transform.y), Number(transform.k.toFixed(3))].join(",");
+
+// Update the view in the URL without adding a history entry, empty values
+// remove their parameter
+const replaceViewParams = updates => {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(updates).forEach(([name, value]) => {
+    if (value === null || value === "") {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+  });
+  window.history.replaceState(window.history.state, "", viewUrl(window.location.pathname, params));
+};
+
+// Path of the hierarchy file of a taxon, named the way the server names it
+const hierarchyFilePath = taxon => {
+  const name = taxon.trim().toLowerCase().replace(/\s+/g, "_");
+  return `/data/${name.charAt(0).toUpperCase()}${name.slice(1)}_prey_hierarchy.json`;
+};
+
+// Lowercase and strip accents so that names compare loosely
+const normalizeName = name => name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// How well a name matches a find in tree query, 0 for no match. Substrings
+// score highest, at the start of a word higher still. Otherwise the letters
+// of the query have to appear in order within a short stretch of the name
+const fuzzyScore = (query, name) => {
+  const index = name.indexOf(query);
+  if (index !== -1) {
+    return index === 0 || /[\s(]/.test(name[index - 1]) ? 3 : 2;
+  }
+
+  let shortest = Infinity;
+  for (let start = name.indexOf(query[0]); start !== -1; start = name.indexOf(query[0], start + 1)) {
+    let end = start;
+    for (let i = 1; i < query.length && end !== -1; i++) {
+      end = name.indexOf(query[i], end + 1);
+    }
+    if (end === -1) {
+      break;
+    }
+    shortest = Math.min(shortest, end - start + 1);
+  }
+  return shortest <= query.length * 1.5 + 1 ? query.length / shortest : 0;
+};
+
+// Chips describing the active filters, each with the filters it leaves behind
+const filterChips = filters => [
+  ...filters.hiddenInteractionTypes.map(type => ({
+    key: `type-${type}`,
+    label: `No ${type}`,
+    without: { ...filters, hiddenInteractionTypes: _.without(filters.hiddenInteractionTypes, type) }
+  })),
+  ...filters.hiddenClasses.map(className => ({
+    key: `class-${className}`,
+    label: `No ${className}`,
+    without: { ...filters, hiddenClasses: _.without(filters.hiddenClasses, className) }
+  })),
+  ...(filters.minCount > 0 ? [{
+    key: "min-count",
+    label: `At least ${filters.minCount} record${filters.minCount === 1 ? "" : "s"}`,
+    without: { ...filters, minCount: 0 }
+  }] : []),
+  ...filters.families.map(family => ({
+    key: `family-${family}`,
+    label: family,
+    without: { ...filters, families: _.without(filters.families, family) }
+  }))
+];
+
+// Resolutions offered for PNG and PDF exports, in dots per inch. SVG user
+// units are CSS pixels, which are 96 to the inch
+const EXPORT_DPIS = [96, 150, 300];
+
+// Browsers refuse to draw canvases larger than this on a side
+const MAX_CANVAS_SIZE = 16384;
+
+// Presentation properties copied from the page onto exported elements, with
+// the initial values that need not be written out
+const EXPORT_STYLE_DEFAULTS = {
+  "fill": "rgb(0, 0, 0)",
+  "fill-opacity": "1",
+  "stroke": "none",
+  "stroke-width": "1px",
+  "stroke-opacity": "1",
+  "stroke-dasharray": "none",
+  "opacity": "1",
+  "font-family": null,
+  "font-size": null,
+  "font-style": "normal",
+  "font-weight": "400",
+  "text-anchor": "start",
+  "dominant-baseline": "auto",
+  "text-decoration-line": "none"
+};
+
+// Write the computed style of every element in a drawing onto its copy, so
+// that the copy looks the same without the page's stylesheets. Both trees
+// have to have the same shape
+const inlineComputedStyles = (source, copy) => {
+  const sources = [source, ...source.querySelectorAll("*")];
+  const copies = [copy, ...copy.querySelectorAll("*")];
+  sources.forEach((element, i) => {
+    const computed = window.getComputedStyle(element);
+    if (computed.getPropertyValue("display") === "none") {
+      copies[i].setAttribute("display", "none");
+      return;
+    }
+    Object.entries(EXPORT_STYLE_DEFAULTS).forEach(([property, initial]) => {
+      // Fonts only matter on text
+      if (initial === null && element.tagName !== "text" && element.tagName !== "tspan") {
+        return;
+      }
+      const value = computed.getPropertyValue(property);
+      if (value && value !== initial) {
+        copies[i].style.setProperty(property, value);
+      }
+    });
+  });
+};
+
+const blobToDataUrl = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// @font-face rules of the page's web fonts for the given families with the
+// font files inlined, so that exports render the same anywhere. Only the
+// Latin subset is kept to keep the files small
+const inlineFontFaces = async families => {
+  const link = document.querySelector('link[href*="fonts.googleapis.com"]');
+  if (!link || families.length === 0) {
+    return "";
+  }
+
+  try {
+    const css = await (await fetch(link.href)).text();
+    const rules = css.split("/* ")
+      .filter(block => block.startsWith("latin */"))
+      .map(block => block.slice("latin */".length).trim())
+      .filter(rule => families.some(family => rule.includes(`font-family: '${family}'`)));
+
+    const inlined = await Promise.all(rules.map(async rule => {
+      const url = rule.match(/url\(([^)]+)\)/)[1];
+      const fontFile = await fetch(url);
+      return rule.replace(url, await blobToDataUrl(await fontFile.blob()));
+    }));
+    return inlined.join("\n");
+  } catch (err) {
+    // Offline the export still works, with the fonts of whoever opens it
+    console.warn("Could not inline the fonts of the export:", err);
+    return "";
+  }
+};
+
+// Markup of a standalone SVG file, with the fonts its text uses embedded
+const standaloneSvg = async svg => {
+  const families = _.uniq(Array.from(svg.querySelectorAll("text"), text =>
+    text.style.getPropertyValue("font-family").split(",")[0].replace(/["']/g, "").trim()
+  ).filter(Boolean));
+
+  const fontFaces = await inlineFontFaces(families);
+  if (fontFaces) {
+    const style = document.createElementNS("http://www.w3.org/2000/svg", "style");
+    style.textContent = fontFaces;
+    svg.insertBefore(style, svg.firstChild);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+};
+
+// Draw SVG markup onto a white canvas, scaled by the given factor
+const rasterizeSvg = (markup, scale) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    if (canvas.width > MAX_CANVAS_SIZE || canvas.height > MAX_CANVAS_SIZE) {
+      reject(new Error("The image would be too large, choose a lower resolution"));
+      return;
+    }
+    const context = canvas.getContext("2d");
+    context.fillStyle = brandColors.pureWhite;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve(canvas);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("The browser could not draw the exported SVG"));
+  };
+  image.src = url;
+});
+
+const canvasBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`)), type, quality);
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_unused, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = bytes => {
+  let c = 0xffffffff;
+  bytes.forEach(byte => {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  });
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Record the resolution in a PNG file, so that it prints at the intended
+// size. The pHYs chunk goes right after the header chunk, which always ends
+// at byte 33
+const pngWithDpi = async (blob, dpi) => {
+  const png = new Uint8Array(await blob.arrayBuffer());
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set(Array.from("pHYs", c => c.charCodeAt(0)), 4);
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  return new Blob([png.subarray(0, 33), chunk, png.subarray(33)], { type: "image/png" });
+};
+
+// PDF string of a text, as Latin-1 hex so that nothing needs escaping
+const pdfText = text => `<${Array.from(text, c => (c.charCodeAt(0) < 256 ? c.charCodeAt(0) : 63).toString(16).padStart(2, "0")).join("")}>`;
+
+// Single page PDF with a title, a subtitle, a JPEG image scaled to fit and
+// footer lines, on an A4 page turned to suit the image
+const pdfDocument = ({ title, subtitle, footer, jpeg, imageWidth, imageHeight }) => {
+  const [pageWidth, pageHeight] = imageWidth > imageHeight ? [841.89, 595.28] : [595.28, 841.89];
+  const margin = 40;
+  const top = pageHeight - margin - (subtitle ? 48 : 30);
+  const bottom = margin + footer.length * 12 + 8;
+  const scale = Math.min((pageWidth - 2 * margin) / imageWidth, (top - bottom) / imageHeight);
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  const number = value => value.toFixed(2);
+
+  const content = [
+    `BT /F1 18 Tf ${number(margin)} ${number(pageHeight - margin - 18)} Td ${pdfText(title)} Tj ET`,
+    subtitle ? `BT /F2 10 Tf ${number(margin)} ${number(pageHeight - margin - 36)} Td ${pdfText(subtitle)} Tj ET` : "",
+    `q ${number(width)} 0 0 ${number(height)} ${number((pageWidth - width) / 2)} ${number(top - height)} cm /Im1 Do Q`,
+    ...footer.map((line, i) => `BT /F2 8 Tf ${number(margin)} ${number(margin + (footer.length - 1 - i) * 12)} Td ${pdfText(line)} Tj ET`)
+  ].filter(Boolean).join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << /Im1 6 0 R >> >> /Contents 7 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    [`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream"],
+    [`<< /Length ${content.length} >>\nstream\n`, content, "\nendstream"]
+  ];
+
+  // Everything but the image is ASCII, so string lengths are byte counts
+  const parts = ["%PDF-1.4\n"];
+  let offset = parts[0].length;
+  const offsets = objects.map((object, i) => {
+    const start = offset;
+    [`${i + 1} 0 obj\n`, ...[].concat(object), "\nendobj\n"].forEach(part => {
+      parts.push(part);
+      offset += part.length;
+    });
+    return start;
+  });
+
+  parts.push(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`,
+    ...offsets.map(start => `${String(start).padStart(10, "0")} 00000 n \n`),
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`
+  );
+  return new Blob(parts, { type: "application/pdf" });
+};
+
+// Save a file through a temporary download link
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 const IlluminumStyledPredatorPreyTree = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedPredator, setSelectedPredator] = useState("Canis lupus");
+  const [notFound, setNotFound] = useState(null);
+  const [selectedPredator, setSelectedPredator] = useState(() => {
+    const initialTrail = trailFromLocation(window.location);
+    return initialTrail.taxa[initialTrail.index];
+  });
+  const [trail, setTrail] = useState(() => trailFromLocation(window.location));
   const [searchQuery, setSearchQuery] = useState("");
   const [searchHistory, setSearchHistory] = useState([]);
+  const [fetchProgress, setFetchProgress] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [highlightedSuggestion, setHighlightedSuggestion] = useState(-1);
+  const [datasets, setDatasets] = useState([]);
+  const [datasetInfo, setDatasetInfo] = useState(null);
+  const [dataVersion, setDataVersion] = useState(0);
+  const [selectedNode, setSelectedNode] = useState(null);
+  const [preyPredators, setPreyPredators] = useState(null);
+  const [compareTaxa, setCompareTaxa] = useState([]);
+  const [compareResult, setCompareResult] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showImageMenu, setShowImageMenu] = useState(false);
+  const [exportDpi, setExportDpi] = useState(300);
+  const [imageExportStatus, setImageExportStatus] = useState(null);
+  const [selectedUpload, setSelectedUpload] = useState(null);
+  const [uploads, setUploads] = useState(() => {
+    // Uploaded datasets are private, so their IDs are only remembered in this browser
+    try {
+      return JSON.parse(window.localStorage.getItem("uploadedDatasets")) || [];
+    } catch (err) {
+      return [];
+    }
+  });
+  const [uploadStatus, setUploadStatus] = useState(null);
   
   // Create a ref for the visualization container
   const vizRef = useRef(null);
+  
+  // Container of the overview minimap, filled by the visualization effect
+  const minimapRef = useRef(null);
+  
+  // The radial tree chart, created by the visualization effect
+  const chartRef = useRef(null);
+  
+  // Pan and zoom of the tree, kept across redraws of the same dataset
+  const zoomState = useRef({ name: null, transform: d3.zoomIdentity });
+  
+  // Collapsed kingdoms and families, kept across redraws of the same dataset
+  const collapseState = useRef({ name: null, collapsedIds: new Set() });
+  
+  // Bumped whenever the chart lays out its nodes, so that highlights can be reapplied
+  const [layoutVersion, setLayoutVersion] = useState(0);
+  const [layout, setLayout] = useState(() => viewFromSearch(window.location.search).layout);
+  const [filters, setFilters] = useState(() => viewFromSearch(window.location.search).filters);
+  const [findQuery, setFindQuery] = useState(() => viewFromSearch(window.location.search).find);
+  // Nodes matching the find in tree query and the one in focus, matched once the data is drawn
+  const [findResult, setFindResult] = useState(() => {
+    const { find, match } = viewFromSearch(window.location.search);
+    return find.trim() ? { matches: [], index: match } : null;
+  });
+  
+  // Zoom, pinned node and picked families of a view opened from a URL, applied
+  // once its dataset is loaded
+  const pendingView = useRef(pendingFromView(viewFromSearch(window.location.search)));
+  
+  // The latest autocomplete query, so that slow responses for older queries are ignored
+  const latestSuggestQuery = useRef("");
+  
+  // Trail a pivot leads to, taken once the dataset of the prey pivoted to has
+  // loaded, so that prey without a dataset never end up in the trail
+  const pendingPivot = useRef(null);
 
-  // Illuminum brand colors
-  const brandColors = {
-    darkPurple: "#2D217A",
-    sunriseYellow: "#F2AF29",
-    glacierBlue: "#2FACBC",
-    grassGreen: "#4DA02D",
-    flamingRed: "#F25C33",
-    carbonBlack: "#1C1D20",
-    mediumGrey: "#4B4B4B",
-    lightGrey: "#D2D2D2",
-    pureWhite: "#FFFFFF"
-  };
+  // Formats offered by the server's export endpoint
+  const exportFormats = [
+    { format: "csv", label: "CSV (flat table)" },
+    { format: "graphml", label: "GraphML" },
+    { format: "gexf", label: "GEXF (Gephi)" },
+    { format: "newick", label: "Newick" },
+    { format: "cytoscape", label: "Cytoscape.js JSON" }
+  ];
 
   useEffect(() => {
     // Initialize the search history with the default predator
@@ -33,74 +634,290 @@ const IlluminumStyledPredatorPreyTree = () => {
     ]);
   }, []);
 
+  // Load the list of cached datasets with their freshness metadata
+  const loadDatasets = async () => {
+    try {
+      const response = await fetch('/api/datasets');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch datasets: ${response.statusText}`);
+      }
+      
+      const result = await response.json();
+      setDatasets(result.datasets);
+    } catch (err) {
+      console.error("Failed to load datasets:", err);
+    }
+  };
+
+  useEffect(() => {
+    loadDatasets();
+  }, []);
+
+  // Reload the current dataset once its background refresh has finished
+  useEffect(() => {
+    if (!datasetInfo || !datasetInfo.refreshJobId) {
+      return;
+    }
+    
+    const eventSource = new EventSource(`/api/jobs/${datasetInfo.refreshJobId}/events`);
+    
+    eventSource.addEventListener("done", () => {
+      eventSource.close();
+      loadDatasets();
+      setDataVersion(version => version + 1);
+    });
+    
+    eventSource.addEventListener("failed", () => {
+      eventSource.close();
+      setDatasetInfo(info => ({ ...info, refreshJobId: null }));
+    });
+    
+    return () => eventSource.close();
+  }, [datasetInfo && datasetInfo.refreshJobId]);
+
+  // Look up which cached predators also eat the selected prey
+  useEffect(() => {
+    if (!selectedNode || selectedNode.rank !== "species") {
+      setPreyPredators(null);
+      return;
+    }
+    
+    let cancelled = false;
+    setPreyPredators({ loading: true, predators: [] });
+    
+    const loadPreyPredators = async () => {
+      try {
+        const response = await fetch(`/api/prey/${encodeURIComponent(selectedNode.scientificName)}/predators`);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch predators: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        if (!cancelled) {
+          setPreyPredators({ loading: false, predators: result.predators });
+        }
+      } catch (err) {
+        console.error("Failed to load predators of prey:", err);
+        if (!cancelled) {
+          setPreyPredators({ loading: false, predators: [], error: err.message });
+        }
+      }
+    };
+    
+    loadPreyPredators();
+    return () => { cancelled = true; };
+  }, [selectedNode]);
+
+  // Compare the diet of the selected predator with the chosen predators
+  useEffect(() => {
+    const others = compareTaxa.filter(taxon => taxon !== selectedPredator);
+    if (others.length === 0) {
+      setCompareResult(null);
+      return;
+    }
+    
+    let cancelled = false;
+    
+    const loadComparison = async () => {
+      try {
+        const taxa = [selectedPredator, ...others].map(encodeURIComponent).join(",");
+        const response = await fetch(`/api/compare?taxa=${taxa}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+          throw new Error(result.error || `Failed to compare diets: ${response.statusText}`);
+        }
+        
+        if (!cancelled) {
+          setCompareResult(result);
+        }
+      } catch (err) {
+        console.error("Failed to compare diets:", err);
+        if (!cancelled) {
+          setCompareResult({ error: err.message, pairs: [] });
+        }
+      }
+    };
+    
+    loadComparison();
+    return () => { cancelled = true; };
+  }, [compareTaxa, selectedPredator]);
+
+  // Add or remove a predator from the comparison
+  const toggleCompareTaxon = (taxon) => {
+    setCompareTaxa(prev => prev.includes(taxon)
+      ? prev.filter(item => item !== taxon)
+      : [...prev, taxon]);
+  };
+
+  // Pairwise overlap statistics between the selected predator and each compared predator
+  const comparePairs = compareResult && !compareResult.error
+    ? compareResult.pairs.filter(pair => pair.taxa.includes(selectedPredator))
+    : [];
+
+  // What the loaded dataset can be filtered by, and how much of it passes the filters
+  const datasetFilterOptions = data ? filterOptions(data) : null;
+  const datasetClassColor = classColorScale(datasetFilterOptions ? datasetFilterOptions.classes : []);
+  const visibleSpeciesCount = data ? hierarchySpecies(filterHierarchy(data, filters)).length : 0;
+  const activeFilterChips = filterChips(filters);
+
+  // Close the details panel when switching predators
   useEffect(() => {
+    setSelectedNode(null);
+  }, [selectedPredator]);
+
+  useEffect(() => {
+    // Responses for a predator that is no longer selected are ignored, so a
+    // slow one can't replace the dataset of the predator picked after it
+    let cancelled = false;
+    
     // Load data for the selected predator
     const loadData = async () => {
       try {
         setLoading(true);
+        setNotFound(null);
         
-        // Path to the JSON file
-        const jsonFilePath = `/data/${selectedPredator.replace(' ', '_')}_prey_hierarchy.json`;
+        // Path to the JSON file, uploaded datasets are served by the uploads API
+        const jsonFilePath = selectedUpload
+          ? selectedUpload.url
+          : hierarchyFilePath(selectedPredator);
         console.log("Attempting to load data from:", jsonFilePath);
         
-        try {
-          // Fetch the data from the JSON file
-          const response = await fetch(jsonFilePath);
-          
-          if (!response.ok) {
-            throw new Error(`Failed to fetch data: ${response.statusText}`);
+        // Fetch the data from the JSON file
+        const response = await fetch(jsonFilePath);
+        if (cancelled) {
+          return;
+        }
+        
+        if (!response.ok) {
+          const problem = await response.json().catch(() => null);
+          if (cancelled) {
+            return;
           }
-          
-          const predatorData = await response.json();
-          console.log("Successfully loaded data:", predatorData.name);
-          console.log("Data structure:", predatorData);
-          setData(predatorData);
-        } catch (fetchError) {
-          console.error("Error fetching JSON data: ", fetchError);
-          
-          // If we can't fetch the specific predator data, try using the default wolf data
-          if (selectedPredator !== "Canis lupus") {
-            console.log("Attempting to fetch default wolf data instead...");
-            
-            const defaultResponse = await fetch('/data/Canis_lupus_prey_hierarchy.json');
-            
-            if (!defaultResponse.ok) {
-              throw new Error("Failed to fetch even the default wolf data");
-            }
-            
-            const defaultData = await defaultResponse.json();
-            
-            // Modify the title to indicate we're using default data
-            defaultData.name = `${selectedPredator} (using Gray wolf data)`;
-            setData(defaultData);
-          } else {
-            throw fetchError; // Re-throw the error if we're already trying to fetch wolf data
+          if (problem && problem.errors) {
+            // The dataset exists but is malformed
+            throw new Error(`${problem.error}: ${problem.errors.slice(0, 3).join("; ")}`);
           }
+          if (response.status === 404 && !selectedUpload) {
+            // Never stand in another predator's prey for a missing dataset,
+            // offer the taxa the user may have meant instead
+            pendingPivot.current = null;
+            setData(null);
+            setLoading(false);
+            await showNotFound(selectedPredator);
+            return;
+          }
+          throw new Error(`Failed to fetch data: ${response.statusText}`);
+        }
+        
+        const predatorData = await response.json();
+        if (cancelled) {
+          return;
+        }
+        
+        // The server reports when the dataset was generated and whether
+        // a stale copy is being refreshed in the background
+        setDatasetInfo({
+          generatedAt: response.headers.get("X-Dataset-Generated-At"),
+          source: response.headers.get("X-Dataset-Source"),
+          refreshJobId: response.headers.get("X-Dataset-Refresh-Job")
+        });
+        
+        if (predatorData.schema_version !== HIERARCHY_SCHEMA_VERSION) {
+          throw new Error(`Unsupported dataset schema version ${predatorData.schema_version}, expected ${HIERARCHY_SCHEMA_VERSION}`);
+        }
+        console.log("Successfully loaded data:", predatorData.name);
+        console.log("Data structure:", predatorData);
+        // Family picks only make sense for the dataset they were made in
+        setFilters(current => ({ ...current, families: pendingView.current.families || [] }));
+        setData(predatorData);
+        
+        const pivot = pendingPivot.current;
+        if (pivot && !selectedUpload && pivot.taxa[pivot.index] === selectedPredator) {
+          navigateTrail(pivot);
         }
         
         setLoading(false);
       } catch (err) {
+        if (cancelled) {
+          return;
+        }
         console.error("Failed to load data:", err.message);
+        pendingPivot.current = null;
         setError("Failed to load data. Error: " + err.message);
         setLoading(false);
       }
     };
 
     loadData();
-  }, [selectedPredator]);
+    return () => { cancelled = true; };
+  }, [selectedPredator, selectedUpload, dataVersion]);
 
-  const handleSearchChange = (e) => {
-    setSearchQuery(e.target.value);
+  // Ask the server which taxa a name without a dataset may have meant
+  const showNotFound = async (taxon, reason) => {
+    setNotFound({ taxon, reason, loading: true, match: null, suggestions: [] });
+    
+    try {
+      const response = await fetch(`/api/resolve-species?q=${encodeURIComponent(taxon)}`);
+      const result = await response.json();
+      
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `Failed to resolve species: ${response.statusText}`);
+      }
+      
+      setNotFound({ taxon, reason, loading: false, match: result.match, suggestions: result.suggestions });
+    } catch (err) {
+      console.error("Failed to resolve species:", err);
+      setNotFound({ taxon, reason, loading: false, match: null, suggestions: [] });
+    }
   };
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
+  // Ask the server's taxon index for matching species names
+  const fetchSuggestions = useRef(_.debounce(async (query) => {
+    try {
+      const response = await fetch(`/api/suggest-species?q=${encodeURIComponent(query)}&limit=8`);
+      if (!response.ok) {
+        return;
+      }
+      
+      const result = await response.json();
+      if (latestSuggestQuery.current === query) {
+        setSuggestions(result.suggestions);
+        setHighlightedSuggestion(-1);
+        setShowSuggestions(true);
+      }
+    } catch (err) {
+      console.error("Failed to fetch species suggestions:", err);
+    }
+  }, 200)).current;
+
+  const handleSearchChange = (e) => {
+    const query = e.target.value;
+    setSearchQuery(query);
+    latestSuggestQuery.current = query.trim();
     
-    if (!searchQuery.trim()) {
-      setError("Please enter a valid species name");
+    if (query.trim().length < 2) {
+      fetchSuggestions.cancel();
+      setSuggestions([]);
+      setShowSuggestions(false);
       return;
     }
+    
+    fetchSuggestions(query.trim());
+  };
+
+  // Add a predator to the front of the search history if not already present
+  const addToSearchHistory = (predator) => {
+    if (!searchHistory.some(item => item.id.toLowerCase() === predator.toLowerCase())) {
+      setSearchHistory(prev => [
+        { id: predator, name: predator },
+        ...prev.slice(0, 4) // Keep only the 5 most recent searches
+      ]);
+    }
+  };
 
+  // Fetch fresh data for a predator and show it
+  const searchForPredator = async (predator) => {
     try {
       // Clear the visualization container immediately
       if (vizRef.current) {
@@ -109,483 +926,1691 @@ const IlluminumStyledPredatorPreyTree = () => {
       
       setLoading(true);
       setError(null);
+      setNotFound(null);
       
       // Trigger the data fetch for the searched predator
-      await fetchPredatorData(searchQuery.trim());
+      await fetchPredatorData(predator);
       
-      // Add the searched predator to search history if not already present
-      if (!searchHistory.some(item => item.id.toLowerCase() === searchQuery.trim().toLowerCase())) {
-        setSearchHistory(prev => [
-          { id: searchQuery.trim(), name: searchQuery.trim() },
-          ...prev.slice(0, 4) // Keep only the 5 most recent searches
-        ]);
-      }
+      addToSearchHistory(predator);
       
-      // Update the selected predator
-      setSelectedPredator(searchQuery.trim());
+      // Update the selected predator, which loads the fetched dataset. A
+      // predator that is already selected is loaded again, as its dataset changed
+      setSelectedUpload(null);
+      if (predator === selectedPredator) {
+        setDataVersion(version => version + 1);
+      } else {
+        setSelectedPredator(predator);
+      }
       
       // Clear the search query
       setSearchQuery("");
     } catch (err) {
       console.error("Search failed:", err.message);
-      setError("Search failed: " + err.message);
+      pendingPivot.current = null;
+      // Most failed searches are misspelled names, so suggest close matches
+      setError(null);
       setLoading(false);
+      showNotFound(predator, "Search failed: " + err.message);
     }
   };
 
-  const handleHistoryItemClick = (predatorId) => {
-    setSelectedPredator(predatorId);
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    setShowSuggestions(false);
+    
+    if (!searchQuery.trim()) {
+      setError("Please enter a valid species name");
+      return;
+    }
+
+    await searchForPredator(searchQuery.trim());
   };
 
-  const fetchPredatorData = async (predator) => {
-    try {
-      // This would trigger the server-side R script to fetch new data for the selected predator
-      const response = await fetch(`/api/fetch-predator-data?predator=${encodeURIComponent(predator)}`, {
-        method: 'POST'
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to trigger data fetch: ${response.statusText}`);
-      }
-      
-      const result = await response.json();
-      
-      if (!result.success) {
-        throw new Error(result.message || "Failed to fetch predator data");
-      }
-      
-      // After successful trigger, reload the data
-      const jsonFilePath = `/data/${predator.replace(' ', '_')}_prey_hierarchy.json`;
-      const dataResponse = await fetch(jsonFilePath);
-      
-      if (!dataResponse.ok) {
-        throw new Error(`Failed to fetch new data: ${dataResponse.statusText}`);
-      }
-      
-      const predatorData = await dataResponse.json();
-      setData(predatorData);
-      setLoading(false);
-      
-      return true;
-    } catch (err) {
-      console.error("Failed to fetch predator data:", err);
-      setError("Failed to fetch predator data: " + err.message);
-      setLoading(false);
-      throw err;
+  // Use a suggestion from the autocomplete dropdown
+  const selectSuggestion = (suggestion) => {
+    fetchSuggestions.cancel();
+    setShowSuggestions(false);
+    setSuggestions([]);
+    
+    if (suggestion.hasDataset) {
+      // Cached datasets can be shown straight away without running a fetch
+      setError(null);
+      addToSearchHistory(suggestion.id);
+      setSelectedUpload(null);
+      setSelectedPredator(suggestion.id);
+      setSearchQuery("");
+      return;
     }
+    
+    setSearchQuery(suggestion.id);
+    searchForPredator(suggestion.id);
   };
 
-  // Helper function to extract scientific name for Wikipedia link
-  const extractScientificName = (nameString) => {
-    // Extract scientific name from format like "Common name (Scientific name)"
-    const match = nameString.match(/\(([^)]+)\)/);
-    if (match && match[1]) {
-      return match[1].trim();
+  // Keyboard navigation for the autocomplete dropdown
+  const handleSearchKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) {
+      return;
+    }
+    
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlightedSuggestion(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlightedSuggestion(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === "Enter" && highlightedSuggestion >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[highlightedSuggestion]);
+    } else if (e.key === "Escape") {
+      setShowSuggestions(false);
     }
-    // If no parentheses, return the whole string as it might be just the scientific name
-    return nameString.trim();
   };
 
-  // Helper function to create Wikipedia URL
-  const getWikipediaUrl = (scientificName) => {
-    return `https://en.wikipedia.org/wiki/${encodeURIComponent(scientificName)}`;
-  };
+  const handleHistoryItemClick = (predatorId) => {
+    setError(null);
+    setSelectedUpload(null);
+    setSelectedPredator(predatorId);
+    // Reload even when the predator is already selected, to leave a not-found message
+    setDataVersion(version => version + 1);
+  };
+
+  // Move along the trail and record the move in the browser history. A
+  // pivot that is still loading is dropped, the move replaces it
+  const navigateTrail = (nextTrail) => {
+    pendingPivot.current = null;
+    setTrail(nextTrail);
+    window.history.pushState(null, "", trailUrl(nextTrail));
+  };
+
+  // Make a prey the focal taxon, fetching its diet when it isn't cached yet.
+  // Steps ahead of the current one are dropped, like in browser history, once
+  // the prey's dataset has loaded
+  const pivotTo = (taxon) => {
+    if (taxon === trail.taxa[trail.index]) {
+      return;
+    }
+
+    setSelectedNode(null);
+    pendingPivot.current = { taxa: [...trail.taxa.slice(0, trail.index + 1), taxon], index: trail.index + 1 };
+
+    if (datasets.some(dataset => dataset.taxon === taxon)) {
+      addToSearchHistory(taxon);
+      handleHistoryItemClick(taxon);
+    } else {
+      searchForPredator(taxon);
+    }
+  };
+
+  // Show another step of the trail, back, forward or picked from the breadcrumb
+  const goToTrailStep = (index) => {
+    navigateTrail({ ...trail, index });
+    handleHistoryItemClick(trail.taxa[index]);
+  };
+
+  // Predators chosen any other way than along the trail start a new one
+  useEffect(() => {
+    const pivot = pendingPivot.current;
+    if (selectedUpload || trail.taxa[trail.index] === selectedPredator
+      || (pivot && pivot.taxa[pivot.index] === selectedPredator)) {
+      return;
+    }
+    navigateTrail({ taxa: [selectedPredator], index: 0 });
+  }, [selectedPredator, selectedUpload]);
+
+  // The browser's back and forward buttons move along the trail too
+  useEffect(() => {
+    const handlePopState = () => {
+      const nextTrail = trailFromLocation(window.location);
+      const view = viewFromSearch(window.location.search);
+      pendingView.current = pendingFromView(view);
+      pendingPivot.current = null;
+      setTrail(nextTrail);
+      setLayout(view.layout);
+      setFilters(view.filters);
+      setFindQuery(view.find);
+      setFindResult(view.find.trim() ? { matches: [], index: view.match } : null);
+      handleHistoryItemClick(nextTrail.taxa[nextTrail.index]);
+    };
+
+    // Give a page opened without a route the route of its predator
+    if (!PREDATOR_ROUTE.test(window.location.pathname)) {
+      window.history.replaceState(null, "", viewUrl(predatorPath(selectedPredator), new URLSearchParams(window.location.search)));
+    }
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Show one of the datasets uploaded from this browser
+  const viewUpload = (upload) => {
+    setError(null);
+    setSelectedUpload(upload);
+    setSelectedPredator(upload.predator);
+  };
+
+  // Send a CSV or TSV file of interaction records to the server
+  const handleUploadChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) {
+      return;
+    }
+    
+    setUploadStatus({ uploading: true });
+    
+    try {
+      const contentType = /\.(tsv|tab)$/i.test(file.name) ? "text/tab-separated-values" : "text/csv";
+      const response = await fetch(`/api/uploads?filename=${encodeURIComponent(file.name)}`, {
+        method: "POST",
+        headers: { "Content-Type": contentType },
+        body: await file.text()
+      });
+      const result = await response.json();
+      
+      if (!response.ok || !result.success) {
+        setUploadStatus({
+          error: result.error || `Upload failed: ${response.statusText}`,
+          errors: result.errors || [],
+          totalErrors: result.totalErrors || 0
+        });
+        return;
+      }
+      
+      const uploaded = result.datasets.map(({ id, predator, name, url, created_at, filename }) =>
+        ({ id, predator, name, url, created_at, filename }));
+      setUploads(prev => {
+        const next = [...uploaded, ...prev];
+        window.localStorage.setItem("uploadedDatasets", JSON.stringify(next));
+        return next;
+      });
+      setUploadStatus({ success: `Created ${uploaded.length} dataset${uploaded.length === 1 ? "" : "s"} from ${result.rowCount} rows` });
+      viewUpload(uploaded[0]);
+    } catch (err) {
+      console.error("Upload failed:", err);
+      setUploadStatus({ error: "Upload failed: " + err.message, errors: [] });
+    }
+  };
+
+  // Follow a background fetch job through its event stream until it finishes
+  const waitForFetchJob = (eventsUrl) => {
+    return new Promise((resolve, reject) => {
+      const eventSource = new EventSource(eventsUrl);
+      
+      // Jobs wait in a queue on the server while all R processes are busy
+      eventSource.addEventListener("status", (event) => {
+        const job = JSON.parse(event.data);
+        if (job.status === "queued") {
+          setFetchProgress({ queued: true, queuePosition: job.queuePosition });
+        }
+      });
+      
+      eventSource.addEventListener("progress", (event) => {
+        setFetchProgress(JSON.parse(event.data));
+      });
+      
+      eventSource.addEventListener("done", (event) => {
+        eventSource.close();
+        resolve(JSON.parse(event.data));
+      });
+      
+      eventSource.addEventListener("failed", (event) => {
+        eventSource.close();
+        const job = JSON.parse(event.data);
+        reject(new Error(job.error || "Data fetch failed"));
+      });
+      
+      eventSource.onerror = () => {
+        // The browser reconnects on its own while the stream is open,
+        // only give up once the connection has been closed for good
+        if (eventSource.readyState === EventSource.CLOSED) {
+          reject(new Error("Lost connection to the data fetch job"));
+        }
+      };
+    });
+  };
+
+  const fetchPredatorData = async (predator) => {
+    try {
+      setFetchProgress(null);
+      
+      // This triggers a background job on the server that runs the R script for the selected predator
+      const response = await fetch(`/api/fetch-predator-data?predator=${encodeURIComponent(predator)}`, {
+        method: 'POST'
+      });
+      
+      const result = await response.json();
+      
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `Failed to trigger data fetch: ${response.statusText}`);
+      }
+      
+      // Wait for the job to finish while showing its progress. The caller
+      // selects the predator afterwards, which loads the new dataset
+      await waitForFetchJob(result.eventsUrl);
+      
+      setFetchProgress(null);
+      loadDatasets();
+      
+      return true;
+    } catch (err) {
+      console.error("Failed to fetch predator data:", err);
+      setError("Failed to fetch predator data: " + err.message);
+      setFetchProgress(null);
+      setLoading(false);
+      throw err;
+    }
+  };
+
+  // Helper function to format the remaining time of a fetch job
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) {
+      return "estimating time left...";
+    }
+    if (seconds < 60) {
+      return `about ${seconds}s left`;
+    }
+    return `about ${Math.round(seconds / 60)} min left`;
+  };
+
+  // Helper function to format the generation date of a dataset
+  const formatAsOf = (timestamp) => {
+    if (!timestamp) {
+      return "unknown date";
+    }
+    return new Date(timestamp).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+  };
+
+  // Helper function to extract scientific name for Wikipedia link
+  const extractScientificName = (nameString) => {
+    // Extract scientific name from format like "Common name (Scientific name)"
+    const match = nameString.match(/\(([^)]+)\)/);
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+    // If no parentheses, return the whole string as it might be just the scientific name
+    return nameString.trim();
+  };
+
+  // Helper function to create Wikipedia URL
+  const getWikipediaUrl = (scientificName) => {
+    return `https://en.wikipedia.org/wiki/${encodeURIComponent(scientificName)}`;
+  };
+
+  // GBIF species search and GloBI interaction browser for a taxon
+  const getGbifUrl = (scientificName) => {
+    return `https://www.gbif.org/species/search?q=${encodeURIComponent(scientificName)}`;
+  };
+
+  const getGlobiUrl = (scientificName) => {
+    return `https://www.globalbioticinteractions.org/?interactionType=interactsWith&sourceTaxon=${encodeURIComponent(scientificName)}`;
+  };
+
+  // Share of all records of the predator, as a percentage
+  const formatShare = (share) => {
+    if (share > 0 && share < 0.001) {
+      return "<0.1%";
+    }
+    return `${(share * 100).toFixed(1)}%`;
+  };
+
+  // Build the chart once per container: the SVG, zoom, legend and minimap.
+  // Data changes and expanding or collapsing nodes then go through its update
+  // function, which moves nodes with enter/update/exit transitions
+  useEffect(() => {
+    if (!data || !vizRef.current) {
+      console.log("Missing prerequisites for visualization:", {
+        hasData: !!data,
+        hasVizRef: !!vizRef.current
+      });
+      return;
+    }
+
+    try {
+      if (!chartRef.current || chartRef.current.container !== vizRef.current) {
+        chartRef.current = createChart(vizRef.current);
+        chartRef.current.setLayout(layout);
+        chartRef.current.setFilters(filters);
+      }
+
+      console.log("Updating visualization with data:", data.name);
+      chartRef.current.setData(data);
+
+      // Restore the zoom and pinned node of a view opened from a URL
+      const { zoom, node } = pendingView.current;
+      pendingView.current = {};
+      if (zoom) {
+        chartRef.current.setTransform(zoom);
+      }
+      if (node) {
+        chartRef.current.selectNode(node);
+      }
+    } catch (vizError) {
+      console.error("Error creating visualization:", vizError);
+      chartRef.current = null;
+
+      // Add error message to the visualization container
+      const vizContainer = vizRef.current;
+      vizContainer.innerHTML = '';
+
+      const errorDiv = document.createElement("div");
+      errorDiv.style.color = brandColors.flamingRed;
+      errorDiv.style.padding = "20px";
+      errorDiv.style.fontFamily = "'Roboto', sans-serif";
+      errorDiv.textContent = `Visualization Error: ${vizError.message}`;
+      vizContainer.appendChild(errorDiv);
+    }
+  }, [data, notFound, error]);
+
+  // Redraw the chart in the chosen layout
+  useEffect(() => {
+    if (chartRef.current) {
+      chartRef.current.setLayout(layout);
+    }
+  }, [layout]);
+
+  // Lay the tree out again with the species that pass the filters
+  useEffect(() => {
+    if (chartRef.current) {
+      chartRef.current.setFilters(filters);
+    }
+  }, [filters]);
+
+  // Keep the view in the query string so that it can be bookmarked or shared.
+  // The zoom is written by the chart when a pan or zoom ends
+  useEffect(() => {
+    replaceViewParams(viewParams({
+      layout,
+      filters,
+      node: selectedNode ? selectedNode.id : null,
+      find: findQuery,
+      match: findResult ? findResult.index : 0
+    }));
+  }, [layout, filters, selectedNode, findQuery, findResult]);
+
+  // Matches of find in tree follow the dataset and filters on display
+  useEffect(() => {
+    if (!chartRef.current || findQuery.trim() === "") {
+      return;
+    }
+    const matches = chartRef.current.findNodes(findQuery);
+    setFindResult(current => ({
+      matches,
+      index: current ? Math.min(current.index, Math.max(matches.length - 1, 0)) : 0
+    }));
+  }, [data, filters]);
+
+  // Find nodes in the tree as the query is typed and bring the best match into view
+  const handleFindChange = (e) => {
+    const query = e.target.value;
+    setFindQuery(query);
+
+    if (!chartRef.current || query.trim() === "") {
+      setFindResult(null);
+      return;
+    }
+    const matches = chartRef.current.findNodes(query);
+    setFindResult({ matches, index: 0 });
+    if (matches.length > 0) {
+      chartRef.current.focusNode(matches[0].id);
+    }
+  };
+
+  // Credit for the data on display, printed on PDF exports
+  const dataAttribution = () => {
+    if (selectedUpload) {
+      return `Data: uploaded interaction records${selectedUpload.filename ? ` (${selectedUpload.filename})` : ""}`;
+    }
+    const retrieved = datasetInfo && datasetInfo.generatedAt ? `, retrieved ${formatAsOf(datasetInfo.generatedAt)}` : "";
+    return `Data: Global Biotic Interactions (GloBI), www.globalbioticinteractions.org${retrieved}`;
+  };
+
+  // Save the drawing as SVG, or as PNG or PDF at the chosen resolution
+  const exportImage = async (format) => {
+    setShowImageMenu(false);
+    if (!chartRef.current) {
+      return;
+    }
+
+    setImageExportStatus(`Preparing ${format.toUpperCase()}...`);
+    try {
+      const svg = chartRef.current.exportSvg();
+      const markup = await standaloneSvg(svg);
+      const filename = `${selectedPredator.replace(/ /g, "_")}_prey_${layout}`;
+
+      if (format === "svg") {
+        downloadBlob(new Blob([markup], { type: "image/svg+xml" }), `${filename}.svg`);
+      } else if (format === "png") {
+        const canvas = await rasterizeSvg(markup, exportDpi / 96);
+        downloadBlob(await pngWithDpi(await canvasBlob(canvas, "image/png"), exportDpi), `${filename}.png`);
+      } else {
+        const canvas = await rasterizeSvg(markup, exportDpi / 96);
+        const jpeg = new Uint8Array(await (await canvasBlob(canvas, "image/jpeg", 0.92)).arrayBuffer());
+        const layoutLabel = LAYOUTS.find(option => option.id === layout).label;
+        downloadBlob(pdfDocument({
+          title: data.name,
+          subtitle: [
+            `${layoutLabel}, ${visibleSpeciesCount} of ${hierarchySpecies(data).length} species`,
+            ...activeFilterChips.map(chip => chip.label)
+          ].join(" · "),
+          footer: [
+            dataAttribution(),
+            `Generated ${new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" })} with Nexus by illuminum`
+          ],
+          jpeg,
+          imageWidth: canvas.width,
+          imageHeight: canvas.height
+        }), `${filename}.pdf`);
+      }
+      setImageExportStatus(null);
+    } catch (err) {
+      console.error("Error exporting the visualization:", err);
+      setImageExportStatus(`Export failed: ${err.message}`);
+    }
+  };
+
+  // Move to the next or previous match of find in tree
+  const stepFindMatch = (step) => {
+    if (!findResult || findResult.matches.length === 0 || !chartRef.current) {
+      return;
+    }
+    const count = findResult.matches.length;
+    const index = (findResult.index + step + count) % count;
+    setFindResult({ ...findResult, index });
+    chartRef.current.focusNode(findResult.matches[index].id);
+  };
+
+  const clearFind = () => {
+    setFindQuery("");
+    setFindResult(null);
+  };
+
+  // Arrow keys and Enter cycle through the matches, Escape clears the query
+  const handleFindKeyDown = (e) => {
+    if (e.key === "ArrowDown" || (e.key === "Enter" && !e.shiftKey)) {
+      e.preventDefault();
+      stepFindMatch(1);
+    } else if (e.key === "ArrowUp" || (e.key === "Enter" && e.shiftKey)) {
+      e.preventDefault();
+      stepFindMatch(-1);
+    } else if (e.key === "Escape") {
+      clearFind();
+    }
+  };
+
+  // Show or hide a class or an interaction type, from the filter panel or the legend
+  const toggleFilterValue = (key, value) => setFilters(current => ({
+    ...current,
+    [key]: current[key].includes(value) ? _.without(current[key], value) : [...current[key], value]
+  }));
+
+  // Create the prey hierarchy chart in a container
+  // The radial tree and the dendrogram draw the collapsible tree of nodes and
+  // links, the sunburst, icicle and treemap draw one cell per taxon that can
+  // be zoomed into. All layouts share colors, tooltips and click-through
+  const createChart = (vizContainer) => {
+    // Clear anything a previous chart or error message left behind
+    vizContainer.innerHTML = '';
+
+    const width = 1350;
+    const height = 1350;
+    const radius = width / 1.5;
+    // Distance between the rings of kingdoms, families and species
+    const levelRadius = (radius - 120) / 3;
+    // Room around the dendrogram, with space for the leaf labels
+    const margin = { top: 40, right: 220, bottom: 40, left: 80 };
+    // Room around the icicle and treemap
+    const areaPadding = 40;
+    const duration = 500;
+
+    // Create SVG element with proper namespace
+    const svgElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svgElement.setAttribute("width", width);
+    svgElement.setAttribute("height", height);
+    svgElement.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svgElement.style.maxWidth = "100%";
+    svgElement.style.height = "auto";
+    vizContainer.appendChild(svgElement);
+
+    // Select the SVG with D3 for adding zoom behavior
+    const svgSelection = d3.select(svgElement);
+
+    // Pan and zoom transform this layer
+    const zoomLayer = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    svgElement.appendChild(zoomLayer);
+
+    // Create a group for centering the visualization
+    const gElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    gElement.setAttribute("transform", `translate(${width/2},${height/2})`);
+    zoomLayer.appendChild(gElement);
+
+    // Now use D3 to select the elements we created
+    const svg = d3.select(gElement);
+
+    // The current layout draws into this group, below the instructions
+    const plotLayer = svg.append("g").attr("class", "plot");
+
+    // Dataset on display, its hierarchy for the tree layouts and the layout
+    let dataName = null;
+    let currentData = null;
+    // Filters and the part of the dataset that passes them
+    let activeFilters = DEFAULT_FILTERS;
+    let visibleData = null;
+    let root = null;
+    let activeLayout = "radial";
+    // Node the area layouts are zoomed into
+    let focusId = null;
+
+    // Viewport rectangle of the minimap, created once the tree is drawn
+    let minimapViewport = null;
+
+    // Show the part of the canvas that is in view on the minimap
+    const updateMinimapViewport = transform => {
+      if (!minimapViewport) {
+        return;
+      }
+      minimapViewport
+        .attr("x", -transform.x / transform.k)
+        .attr("y", -transform.y / transform.k)
+        .attr("width", width / transform.k)
+        .attr("height", height / transform.k);
+    };
+
+    // Wheel and pinch to zoom, drag to pan
+    const zoom = d3.zoom()
+      .scaleExtent([0.25, 8])
+      .on("zoom", event => {
+        zoomLayer.setAttribute("transform", event.transform);
+        zoomState.current = { name: dataName, transform: event.transform };
+        updateMinimapViewport(event.transform);
+      })
+      .on("end", event => replaceViewParams({ zoom: zoomParam(event.transform) }));
+
+    svgSelection.call(zoom);
+
+    // Scale and center the whole drawing in the canvas
+    const fitToView = () => {
+      const box = gElement.getBBox();
+      if (!box.width || !box.height) {
+        return;
+      }
+
+      const [minScale, maxScale] = zoom.scaleExtent();
+      const scale = Math.max(minScale, Math.min(maxScale, 0.95 * Math.min(width / box.width, height / box.height)));
+      const centerX = width / 2 + box.x + box.width / 2;
+      const centerY = height / 2 + box.y + box.height / 2;
+
+      svgSelection.transition().duration(500).call(zoom.transform, d3.zoomIdentity
+        .translate(width / 2, height / 2)
+        .scale(scale)
+        .translate(-centerX, -centerY));
+    };
+
+    // Group of the plot layer with the given class, created on first use
+    const plotGroup = name => {
+      const group = plotLayer.select(`g.${name}`);
+      return group.empty() ? plotLayer.append("g").attr("class", name) : group;
+    };
+
+    // Helper function to calculate radial points
+    function radialPoint(x, y) {
+      return [(y = +y) * Math.cos(x -= Math.PI / 2), y * Math.sin(x)];
+    }
+
+    // Position of a tree node, (x, y) is (angle, radius) in the radial tree
+    // and (vertical position, depth) in the dendrogram
+    const treePoint = (x, y) => activeLayout === "radial"
+      ? radialPoint(x, y)
+      : [margin.left + y, margin.top + x];
+
+    const nodeTransform = (x, y) => `translate(${treePoint(x, y)})`;
+
+    const treeLink = ({ source, target }) => {
+      if (activeLayout === "radial") {
+        return d3.linkRadial().angle(d => d.x).radius(d => d.y)({ source, target });
+      }
+      return d3.linkHorizontal()({ source: treePoint(source.x, source.y), target: treePoint(target.x, target.y) });
+    };
+
+    // Rotation that keeps a label reading outwards from the center
+    const labelRotation = d => (d.x < Math.PI ? d.x - Math.PI / 2 : d.x + Math.PI / 2) * 180 / Math.PI;
+
+    // Create a radial tree layout with improved spacing
+    const radialTree = d3.tree()
+      .size([2 * Math.PI, radius - 120])
+      .separation((a, b) => (a.parent === b.parent ? 1.1 : 2.2) / a.depth);
+
+    // Dendrograms line all leaves up in one column
+    const dendrogram = d3.cluster()
+      .size([height - margin.top - margin.bottom, width - margin.left - margin.right]);
+
+    // Classes and interaction types of the whole dataset and the color of
+    // each class, set by applyData so that filtering keeps the colors
+    let options = { classes: [], interactionTypes: [] };
+    let classColor = classColorScale([]);
+
+    // Interaction type with the most records of a species leaf
+    const dominantInteraction = leaf => {
+      const [type] = _.maxBy(Object.entries(leaf.interactions || {}), ([, count]) => count) || [];
+      return type;
+    };
+
+    // Species are sized by their number of records
+    const nodeRadius = d => {
+      if (d.data.rank === "predator") return 50;
+      if (d.data.rank === "kingdom") return 8;
+      if (d.data.rank === "family") return 6;
+      return d.data.value ? Math.sqrt(d.data.value) / 1.5 : 4;
+    };
+
+    // Class of a family or species
+    const taxonClass = d => {
+      if (d.data.rank === "family") {
+        return d.data.class || UNKNOWN_CLASS;
+      }
+      if (d.data.rank === "species") {
+        return speciesClass(d.data, d.parent.data);
+      }
+      return null;
+    };
+
+    const nodeColor = d => {
+      if (d.data.rank === "predator") {
+        return brandColors.darkPurple;
+      }
+      if (d.data.rank === "family" || d.data.rank === "species") {
+        return classColor(taxonClass(d));
+      }
+      return brandColors.mediumGrey; // Default
+    };
+
+    const linkColor = d => {
+      if (d.target.data.rank === "species") {
+        // For species nodes, use the color of their main interaction type
+        return interactionColorMap[dominantInteraction(d.target.data)] || brandColors.mediumGrey;
+      }
+      if (d.target.data.rank === "family") {
+        return classColor(taxonClass(d.target));
+      }
+      return brandColors.lightGrey;
+    };
+
+    // Scientific name for the predator, common name for species
+    const shortName = d => {
+      const match = d.data.name.match(/(.+?) \((.+?)\)/);
+      if (!match) {
+        return d.data.name;
+      }
+      return d.data.rank === "predator" ? match[2] : match[1];
+    };
+
+    // Records by interaction type of a node, added up over its species
+    const nodeInteractions = node => {
+      if (node.rank === "species") {
+        return node.interactions || {};
+      }
+      const totals = {};
+      (node.children || []).forEach(child => {
+        Object.entries(nodeInteractions(child)).forEach(([type, count]) => {
+          totals[type] = (totals[type] || 0) + count;
+        });
+      });
+      return totals;
+    };
+
+    // What the tooltip and the details panel show about a node. The share of
+    // the diet is taken of all records of the dataset, filtered or not
+    const nodeDetails = d => {
+      const match = d.data.name.match(/^(.+?) \((.+)\)$/);
+      const scientificName = match ? match[2] : d.data.name;
+      const family = d.ancestors().find(ancestor => ancestor.data.rank === "family");
+      const totalRecords = _.sumBy(hierarchySpecies(currentData), ({ leaf }) => leaf.value || 0);
+
+      return {
+        id: d.id,
+        name: d.data.name,
+        rank: d.data.rank,
+        scientificName,
+        // Labels repeat the scientific name when no common name is known
+        vernacularName: match && match[1] !== match[2] ? match[1] : null,
+        family: family && d !== family ? family.data.name : null,
+        class: d.data.rank === "family" || d.data.rank === "species" ? taxonClass(d) : null,
+        order: d.data.order || (family && family.data.order) || null,
+        interactions: nodeInteractions(d.data),
+        records: d.value,
+        taxa: d.data.rank === "species" ? null : d.leafCount,
+        share: d.data.rank === "predator" || !totalRecords ? null : d.value / totalRecords
+      };
+    };
+
+    // Hover tooltip, fixed to the page so that the scrolling container doesn't clip it
+    const tooltip = d3.select(vizContainer).append("div")
+      .attr("class", "node-tooltip")
+      .attr("role", "tooltip")
+      .style("position", "fixed")
+      .style("pointer-events", "none")
+      .style("display", "none")
+      .style("z-index", 30)
+      .style("max-width", "280px")
+      .style("padding", "8px 10px")
+      .style("border-radius", "6px")
+      .style("border", `1px solid ${brandColors.lightGrey}`)
+      .style("background", brandColors.pureWhite)
+      .style("box-shadow", "0 2px 8px rgba(0, 0, 0, 0.15)")
+      .style("font-family", "'Roboto', sans-serif")
+      .style("font-size", "12px")
+      .style("color", brandColors.carbonBlack);
+
+    const moveTooltip = event => {
+      tooltip
+        .style("left", `${event.clientX + 14}px`)
+        .style("top", `${event.clientY + 14}px`);
+    };
+
+    const showTooltip = (event, d) => {
+      const details = nodeDetails(d);
+      const lines = [
+        details.vernacularName ? `${details.scientificName}` : null,
+        details.rank === "species" || details.rank === "family"
+          ? [details.family && `Family: ${details.family}`, `Class: ${details.class}`].filter(Boolean).join(" · ")
+          : null,
+        Object.keys(details.interactions).length > 0
+          ? Object.entries(details.interactions).map(([type, count]) => `${type} ${count}`).join(", ")
+          : null,
+        [
+          `${details.records} record${details.records === 1 ? "" : "s"}`,
+          details.taxa === null ? null : `${details.taxa} prey ${details.taxa === 1 ? "taxon" : "taxa"}`,
+          details.share === null ? null : `${formatShare(details.share)} of the diet`
+        ].filter(Boolean).join(" · ")
+      ].filter(Boolean);
+
+      tooltip.selectAll("*").remove();
+      tooltip.append("div")
+        .style("font-weight", "bold")
+        .style("color", brandColors.darkPurple)
+        .text(details.vernacularName || details.scientificName);
+      lines.forEach((line, i) => tooltip.append("div")
+        .style("font-style", i === 0 && details.vernacularName ? "italic" : null)
+        .text(line));
+
+      tooltip.style("display", "block");
+      moveTooltip(event);
+    };
+
+    const hideTooltip = () => tooltip.style("display", "none");
+
+    // Nodes of every layout show the tooltip while hovered
+    const withTooltip = node => node
+      .on("mouseenter", showTooltip)
+      .on("mousemove", moveTooltip)
+      .on("mouseleave", hideTooltip);
+
+    // Cut a label down to the characters that fit into the given width
+    const fitText = (text, space) => {
+      const characters = Math.floor(space / 6.5);
+      if (characters < 3) {
+        return "";
+      }
+      return text.length <= characters ? text : `${text.slice(0, characters - 1)}…`;
+    };
+
+    // Build the hierarchy of a dataset, with stable node IDs and the number of
+    // records and prey taxa below every node
+    const buildHierarchy = (hierarchyData, compare) => {
+      const hierarchy = d3.hierarchy(hierarchyData)
+        .sum(d => d.rank === "species" ? d.value || 0 : 0)
+        .sort(compare);
+
+      hierarchy.each(d => {
+        d.id = d.ancestors().map(ancestor => ancestor.data.name).reverse().join("/");
+        d.allChildren = d.children;
+        d.leafCount = d.leaves().length;
+      });
+
+      return hierarchy;
+    };
+
+    // Pin the details of a node in the details panel
+    const showDetails = d => {
+      setSelectedNode(nodeDetails(d));
+    };
+
+    // Where the label of a tree node goes
+    const labelPlacement = d => {
+      if (activeLayout === "radial") {
+        const outward = d.x < Math.PI;
+        if (d.data.rank === "family") {
+          // Offset to prevent collision with the links
+          return { anchor: outward ? "start" : "end", x: outward ? 12 : -12, rotate: labelRotation(d) };
+        }
+        const outside = outward === !d.children;
+        return { anchor: outside ? "start" : "end", x: outside ? 6 : -6, rotate: labelRotation(d) };
+      }
+
+      // Dendrograms label leaves on their right and internal nodes on their left
+      const offset = nodeRadius(d) + 4;
+      return d.children ? { anchor: "end", x: -offset } : { anchor: "start", x: offset };
+    };
+
+    // Labels of a tree node: the predator shows its scientific and common name,
+    // collapsed kingdoms and families how many taxa they hide
+    const nodeLabels = d => {
+      const match = d.data.name.match(/(.+?) \((.+?)\)/);
+
+      if (d.data.rank === "predator") {
+        return [
+          { text: match ? match[2] : d.data.name, anchor: "middle", baseline: "middle", font: "'Kanit', sans-serif", size: "14px", weight: "bold", fill: brandColors.pureWhite },
+          { text: match ? match[1] : "", anchor: "middle", y: 20, font: "'Roboto', sans-serif", size: "12px", fill: brandColors.pureWhite }
+        ];
+      }
+
+      const hidden = d.collapsed ? ` (${d.leafCount})` : "";
+
+      if (d.data.rank === "family") {
+        return [{
+          ...labelPlacement(d),
+          text: d.data.name + hidden,
+          font: "'Roboto', sans-serif",
+          size: "12px",
+          weight: "bold",
+          fill: nodeColor(d),
+          // White outline to improve readability when crossing lines
+          outline: true
+        }];
+      }
+
+      return [{
+        ...labelPlacement(d),
+        text: shortName(d) + hidden,
+        font: d.data.rank === "kingdom" ? "'Kanit', sans-serif" : "'Roboto', sans-serif",
+        size: d.data.rank === "kingdom" ? "14px" : "10px",
+        weight: d.data.rank === "kingdom" ? "bold" : "normal",
+        fill: brandColors.carbonBlack
+      }];
+    };
+
+    // Species recorded under several interaction types get a ring that
+    // breaks their records down by type
+    const interactionPie = d3.pie()
+      .sort(null)
+      .value(([, count]) => count);
+
+    const interactionArc = d3.arc()
+      .innerRadius(slice => slice.leafRadius + 1)
+      .outerRadius(slice => slice.leafRadius + 4);
+
+    const interactionSlices = d => {
+      const interactions = Object.entries(d.data.interactions || {});
+      if (d.data.rank !== "species" || interactions.length < 2) {
+        return [];
+      }
+      return interactionPie(interactions).map(slice => ({ ...slice, leafRadius: nodeRadius(d) }));
+    };
+
+    // Draw the circles, rings and labels of tree nodes, in place so that
+    // existing nodes pick up changed values
+    const renderNodeContent = node => {
+      node.selectAll(".node-circle")
+        .data(d => [d])
+        .join("circle")
+        .attr("class", "node-circle")
+        .attr("r", nodeRadius)
+        .style("fill", nodeColor)
+        // Collapsed nodes get a dark outline
+        .style("stroke", d => d.collapsed ? brandColors.carbonBlack : brandColors.pureWhite)
+        .style("stroke-width", d => d.data.rank === "predator" ? 2 : d.collapsed ? 2.5 : 1.5);
+
+      node.selectAll(".interaction-ring")
+        .data(interactionSlices)
+        .join("path")
+        .attr("class", "interaction-ring")
+        .attr("d", interactionArc)
+        .style("fill", slice => interactionColorMap[slice.data[0]] || brandColors.mediumGrey);
+
+      node.selectAll(".label")
+        .data(nodeLabels)
+        .join("text")
+        .attr("class", "label")
+        .attr("x", label => label.x || 0)
+        .attr("y", label => label.y || 0)
+        .attr("dy", label => label.baseline || label.y ? null : "0.31em")
+        .attr("dominant-baseline", label => label.baseline || null)
+        .attr("text-anchor", label => label.anchor)
+        .attr("transform", label => label.rotate === undefined ? null : `rotate(${label.rotate})`)
+        .text(label => label.text)
+        .style("font-family", label => label.font)
+        .style("font-size", label => label.size)
+        .style("font-weight", label => label.weight || "normal")
+        .style("fill", label => label.fill)
+        .style("stroke", label => label.outline ? "#ffffff" : null)
+        .style("stroke-width", label => label.outline ? 1 : null)
+        .style("stroke-opacity", label => label.outline ? 0.7 : null)
+        .style("paint-order", label => label.outline ? "stroke" : null);
+
+      // Add visual indicator for clickable species
+      node.selectAll(".link-indicator")
+        .data(d => d.data.rank === "species" ? [d] : [])
+        .join("circle")
+        .attr("class", "link-indicator")
+        .attr("r", 3)
+        .attr("cx", d => labelPlacement(d).anchor === "start" ? 3 : -3)
+        .attr("cy", -6)
+        .style("fill", brandColors.glacierBlue)
+        .style("opacity", 0.8);
+    };
+
+    // Remember which nodes are collapsed, so redraws of the dataset keep them.
+    // Nodes the filters hide keep the state they had
+    const saveCollapsed = () => {
+      const previous = collapseState.current.name === dataName ? collapseState.current.collapsedIds : new Set();
+      const shownIds = new Set();
+      const collapsedIds = new Set();
+      root.each(d => {
+        shownIds.add(d.id);
+        if (d.collapsed) {
+          collapsedIds.add(d.id);
+        }
+      });
+      previous.forEach(id => {
+        if (!shownIds.has(id)) {
+          collapsedIds.add(id);
+        }
+      });
+      collapseState.current = { name: dataName, collapsedIds };
+    };
+
+    // Lay out the visible part of the tree and animate nodes and links from
+    // their old positions, entering and leaving through the source node
+    const updateTree = (source, transition) => {
+      root.each(d => {
+        d.children = d.collapsed ? null : d.allChildren;
+      });
+
+      // Keep every rank on its own ring or column, however deep the visible tree is
+      if (activeLayout === "radial") {
+        radialTree(root);
+        root.each(d => {
+          d.y = d.depth * levelRadius;
+        });
+      } else {
+        dendrogram(root);
+        root.each(d => {
+          d.y = d.depth * (width - margin.left - margin.right) / 3;
+        });
+      }
+
+      const from = { x: source.x0 === undefined ? source.x : source.x0, y: source.y0 === undefined ? source.y : source.y0 };
+      const to = { x: source.x, y: source.y };
+
+      plotGroup("links").selectAll(".link")
+        .data(root.links(), d => d.target.id)
+        .join(
+          enter => enter.append("path")
+            .attr("class", "link")
+            .attr("d", () => treeLink({ source: from, target: from }))
+            .style("fill", "none")
+            .style("stroke-opacity", 0.6),
+          update => update,
+          exit => exit.transition(transition)
+            .attr("d", () => treeLink({ source: to, target: to }))
+            .remove()
+        )
+        .style("stroke", linkColor)
+        .style("stroke-width", d => d.target.data.value ? Math.sqrt(d.target.data.value) / 2 : 1.5)
+        .style("stroke-dasharray", d => d.target.data.rank === "species" && dominantInteraction(d.target.data) === "pollinates" ? "5,5" : "none")
+        .transition(transition)
+        .attr("d", treeLink);
+
+      const node = plotGroup("nodes").selectAll(".node")
+        .data(root.descendants(), d => d.id)
+        .join(
+          enter => enter.append("g")
+            .attr("transform", nodeTransform(from.x, from.y))
+            .style("fill-opacity", 0)
+            .style("cursor", "pointer")
+            .on("click", handleTreeClick)
+            .call(withTooltip),
+          update => update,
+          exit => exit.transition(transition)
+            .attr("transform", nodeTransform(to.x, to.y))
+            .style("fill-opacity", 0)
+            .remove()
+        )
+        .attr("class", d => `node node--${d.data.rank} ${d.children ? "node--internal" : "node--leaf"}${d.collapsed ? " node--collapsed" : ""}`)
+        .call(renderNodeContent);
+
+      node.transition(transition)
+        .attr("transform", d => nodeTransform(d.x, d.y))
+        .style("fill-opacity", 1);
+
+      // Entering nodes start where their parent was
+      root.each(d => {
+        d.x0 = d.x;
+        d.y0 = d.y;
+      });
+    };
+
+    // Clicked nodes show their details, kingdoms and families also expand
+    // and collapse in the tree layouts
+    function handleTreeClick(event, d) {
+      // Prevent event bubbling
+      event.stopPropagation();
+
+      if ((d.data.rank === "kingdom" || d.data.rank === "family") && d.allChildren) {
+        d.collapsed = !d.collapsed;
+        saveCollapsed();
+        render(d);
+      }
+
+      showDetails(d);
+    }
+
+    // Fill opacity of the cells of the area layouts, deeper ranks are stronger
+    const cellOpacity = {
+      predator: 1,
+      kingdom: 0.35,
+      family: 0.6,
+      species: 0.9
+    };
+
+    const sunburstArc = d3.arc()
+      .startAngle(g => g.a0)
+      .endAngle(g => g.a1)
+      .padAngle(g => Math.min((g.a1 - g.a0) / 2, 0.002))
+      .padRadius(radius / 2)
+      .innerRadius(g => g.r0)
+      .outerRadius(g => Math.max(g.r0, g.r1 - 1));
+
+    // Geometry of every cell of an area layout zoomed into the focus node:
+    // angles and radii in the sunburst, rectangles in the icicle and treemap.
+    // Cells outside the focus shrink to nothing
+    const areaGeometry = (areaRoot, focus) => {
+      const clamp = value => Math.max(0, Math.min(1, value));
+      const innerWidth = width - 2 * areaPadding;
+      const innerHeight = height - 2 * areaPadding;
+
+      if (activeLayout === "treemap") {
+        d3.treemap()
+          .size([innerWidth, innerHeight])
+          .paddingOuter(3)
+          .paddingTop(18)
+          .paddingInner(1)(areaRoot);
+
+        const scaleX = innerWidth / (focus.x1 - focus.x0);
+        const scaleY = innerHeight / (focus.y1 - focus.y0);
+        areaRoot.each(d => {
+          d.geometry = d.depth < focus.depth
+            ? { x0: areaPadding, y0: areaPadding, x1: areaPadding, y1: areaPadding }
+            : {
+              x0: areaPadding + (d.x0 - focus.x0) * scaleX,
+              y0: areaPadding + (d.y0 - focus.y0) * scaleY,
+              x1: areaPadding + (d.x1 - focus.x0) * scaleX,
+              y1: areaPadding + (d.y1 - focus.y0) * scaleY
+            };
+        });
+        return;
+      }
+
+      // The sunburst and icicle partition the breadth of the focus node and
+      // give each rank below it the same depth
+      d3.partition()(areaRoot);
+      const levels = areaRoot.height + 1 - focus.depth;
+      const breadth = d => [
+        clamp((d.x0 - focus.x0) / (focus.x1 - focus.x0)),
+        clamp((d.x1 - focus.x0) / (focus.x1 - focus.x0))
+      ];
+      const depth = d => [Math.max(0, d.depth - focus.depth) / levels, Math.max(0, d.depth + 1 - focus.depth) / levels];
+
+      areaRoot.each(d => {
+        const [b0, b1] = breadth(d);
+        const [d0, d1] = depth(d);
+
+        d.geometry = activeLayout === "sunburst"
+          ? { a0: b0 * 2 * Math.PI, a1: b1 * 2 * Math.PI, r0: d0 * (width / 2 - 20), r1: d1 * (width / 2 - 20) }
+          : {
+            x0: areaPadding + d0 * innerWidth,
+            x1: areaPadding + d1 * innerWidth,
+            y0: areaPadding + b0 * innerHeight,
+            y1: areaPadding + b1 * innerHeight
+          };
+      });
+    };
+
+    // Move the shape and label of a cell to a (possibly interpolated) geometry
+    const drawCell = (cell, d, geometry) => {
+      const label = cell.select(".label");
+
+      if (activeLayout === "sunburst") {
+        cell.select(".cell-shape").attr("d", sunburstArc(geometry));
+
+        const angle = geometry.a1 - geometry.a0;
+        if (geometry.r0 === 0) {
+          // The focus node fills the center
+          label.attr("transform", null)
+            .text(angle > 0.01 ? fitText(shortName(d), 2 * geometry.r1 - 10) : "");
+          return;
+        }
+
+        // Other labels run outwards along the middle of their arc
+        const middleAngle = (geometry.a0 + geometry.a1) / 2 * 180 / Math.PI;
+        const middleRadius = (geometry.r0 + geometry.r1) / 2;
+        label.attr("transform", `rotate(${middleAngle - 90}) translate(${middleRadius},0) rotate(${middleAngle < 180 ? 0 : 180})`)
+          .text(angle * middleRadius > 11 ? fitText(shortName(d), geometry.r1 - geometry.r0 - 6) : "");
+        return;
+      }
 
-  // This effect runs when data changes or the container is available
-  useEffect(() => {
-    if (!data || !vizRef.current) {
-      console.log("Missing prerequisites for visualization:", { 
-        hasData: !!data, 
-        hasVizRef: !!vizRef.current 
-      });
-      return;
-    }
-    
-    console.log("Starting visualization with data:", data.name);
-    
-    try {
-      // Get container and clear it completely
-      const vizContainer = vizRef.current;
-      vizContainer.innerHTML = ''; // More reliable clearing method in React
-      
-      const width = 1350;
-      const height = 1350;
-      const radius = width / 1.5;
+      const cellWidth = Math.max(0, geometry.x1 - geometry.x0);
+      const cellHeight = Math.max(0, geometry.y1 - geometry.y0);
+      cell.select(".cell-shape")
+        .attr("x", geometry.x0)
+        .attr("y", geometry.y0)
+        .attr("width", cellWidth)
+        .attr("height", cellHeight);
 
-      // Create SVG element with proper namespace
-      const svgElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-      svgElement.setAttribute("width", width);
-      svgElement.setAttribute("height", height);
-      svgElement.setAttribute("viewBox", `0 0 ${width} ${height}`);
-      svgElement.style.maxWidth = "100%";
-      svgElement.style.height = "auto";
-      vizContainer.appendChild(svgElement);
+      // Treemaps label parents in the padding above their children
+      const labelY = activeLayout === "treemap" ? geometry.y0 + 9 : geometry.y0 + cellHeight / 2;
+      label.attr("transform", `translate(${geometry.x0 + 4},${labelY})`)
+        .text(cellHeight >= 13 ? fitText(shortName(d), cellWidth - 8) : "");
+    };
 
-      // Select the SVG with D3 for adding drag behavior
-      const svgSelection = d3.select(svgElement);
+    // Lay out every taxon as a cell and tween the cells to their new geometry
+    const updateArea = (transition) => {
+      const areaRoot = buildHierarchy(visibleData, (a, b) => b.value - a.value);
+      // Taxa without records have no area to zoom into
+      const focused = areaRoot.find(d => d.id === focusId);
+      const focus = focused && focused.value > 0 ? focused : areaRoot;
+      focusId = focus.id;
+      areaGeometry(areaRoot, focus);
 
-      // Create a group for centering the visualization
-      const gElement = document.createElementNS("http://www.w3.org/2000/svg", "g");
-      gElement.setAttribute("transform", `translate(${width/2},${height/2})`);
-      svgElement.appendChild(gElement);
+      const cells = plotGroup("cells").selectAll(".node")
+        .data(areaRoot.descendants(), d => d.id)
+        .join(
+          enter => enter.append("g")
+            .style("cursor", "pointer")
+            .on("click", handleAreaClick)
+            .call(withTooltip)
+            .each(function(d) {
+              // New cells appear in place
+              this.__geometry = d.geometry;
+            })
+            .call(cell => {
+              cell.append(activeLayout === "sunburst" ? "path" : "rect")
+                .attr("class", "cell-shape")
+                .style("fill-opacity", 0);
+              cell.append("text")
+                .attr("class", "label")
+                .attr("dy", "0.35em")
+                .style("font-family", "'Roboto', sans-serif")
+                .style("font-size", "11px")
+                .style("pointer-events", "none");
+            }),
+          update => update,
+          exit => exit
+            .call(cell => cell.select(".cell-shape").transition(transition).style("fill-opacity", 0))
+            .transition(transition)
+            .remove()
+        )
+        .attr("class", d => `node node--${d.data.rank}`);
 
-      // Now use D3 to select the elements we created
-      const svg = d3.select(gElement);
+      cells.select(".cell-shape")
+        .style("fill", nodeColor)
+        .style("stroke", brandColors.pureWhite)
+        .style("stroke-width", 1)
+        .transition(transition)
+        .style("fill-opacity", d => cellOpacity[d.data.rank]);
 
-      // Add panning functionality
-      const drag = d3.drag()
-        .on("start", dragStarted)
-        .on("drag", dragged);
+      cells.select(".label")
+        .attr("text-anchor", activeLayout === "sunburst" ? "middle" : "start")
+        .style("fill", d => d.data.rank === "predator" ? brandColors.pureWhite : brandColors.carbonBlack)
+        .style("font-weight", d => d.data.rank === "species" ? "normal" : "bold");
 
-      svgSelection.call(drag);
+      cells.transition(transition)
+        .tween("geometry", function(d) {
+          const cell = d3.select(this);
+          const interpolate = d3.interpolate(this.__geometry || d.geometry, d.geometry);
+          return t => {
+            this.__geometry = interpolate(t);
+            drawCell(cell, d, this.__geometry);
+          };
+        });
+    };
 
-      // Current translation
-      let dx = 0;
-      let dy = 0;
+    // Clicked cells show their details. Kingdoms and families also zoom the
+    // area layouts into them, the zoomed node zooms back out to its parent
+    function handleAreaClick(event, d) {
+      event.stopPropagation();
 
-      // Drag functions
-      function dragStarted(event) {
-        event.sourceEvent.stopPropagation();
+      if (d.data.rank !== "species" && d.id !== focusId) {
+        focusId = d.id;
+        render();
+      } else if (d.data.rank !== "species" && d.parent) {
+        focusId = d.parent.id;
+        render();
       }
 
-      function dragged(event) {
-        dx += event.dx;
-        dy += event.dy;
-        gElement.setAttribute("transform", `translate(${width/2 + dx},${height/2 + dy})`);
-      }
-      
-      // Helper function to calculate radial points
-      function radialPoint(x, y) {
-        return [(y = +y) * Math.cos(x -= Math.PI / 2), y * Math.sin(x)];
+      showDetails(d);
+    }
+
+    // Draw the current layout, animating from the node that changed
+    const render = (source) => {
+      if (!root) {
+        return;
       }
-      
-      // Create a radial tree layout with improved spacing
-      const tree = d3.tree()
-        .size([2 * Math.PI, radius - 120])
-        .separation((a, b) => (a.parent === b.parent ? 1.1 : 2.2) / a.depth);
 
-      // Convert hierarchical data
-      const root = d3.hierarchy(data)
-        .sort((a, b) => d3.ascending(a.data.name, b.data.name));
+      const transition = svg.transition().duration(duration);
 
-      // Generate tree layout
-      tree(root);
-      
-      console.log("Tree layout generated with nodes:", root.descendants().length);
+      if (TREE_LAYOUTS.includes(activeLayout)) {
+        updateTree(source || root, transition);
+      } else {
+        updateArea(transition);
+      }
 
-      // Use Illuminum brand colors for the visualization
-      const classColorMap = {
-        "Mammalia": brandColors.grassGreen,
-        "Aves": brandColors.sunriseYellow,
-        "Actinopterygii": brandColors.glacierBlue,
-        "Reptilia": brandColors.flamingRed,
-        "Amphibia": "#b3de69",
-        "Unknown": brandColors.mediumGrey
-      };
+      transition.end().then(refreshMinimap).catch(() => {});
+      setLayoutVersion(version => version + 1);
+      return transition;
+    };
 
-      // Add interaction type color mapping
-      const interactionColorMap = {
-        "preysOn": brandColors.flamingRed,
-        "eats": brandColors.grassGreen,
-        "pollinates": brandColors.sunriseYellow
-      };
+    // Overview minimap, a copy of the drawing without the labels that are
+    // unreadable at that size
+    const refreshMinimap = () => {
+      if (!minimapRef.current) {
+        return;
+      }
+      minimapRef.current.innerHTML = '';
 
-      // Infer class from family for better categorization
-      const familyClassMap = {};
-      const mammalFamilies = ["Cervidae", "Bovidae", "Leporidae", "Castoridae", "Suidae", "Cricetidae", "Canidae", "Mustelidae", "Sciuridae"];
-      const birdFamilies = ["Phasianidae", "Anatidae", "Corvidae", "Tetraonidae"];
-      const fishFamilies = ["Salmonidae", "Cyprinidae", "Esocidae"];
-      
-      mammalFamilies.forEach(f => { familyClassMap[f] = "Mammalia"; });
-      birdFamilies.forEach(f => { familyClassMap[f] = "Aves"; });
-      fishFamilies.forEach(f => { familyClassMap[f] = "Actinopterygii"; });
+      const minimap = d3.select(minimapRef.current)
+        .append("svg")
+        .attr("width", 160)
+        .attr("height", 160)
+        .attr("viewBox", `0 0 ${width} ${height}`)
+        .style("display", "block")
+        .style("cursor", "pointer");
 
-      // Add links
-      svg.selectAll(".link")
-        .data(root.links())
-        .join("path")
-        .attr("class", "link")
-        .attr("d", d3.linkRadial()
-          .angle(d => d.x)
-          .radius(d => d.y))
-        .style("fill", "none")
-        .style("stroke", d => {
-          if (d.target.depth === 3) {
-            // For species nodes, use interaction type color
-            const interactionType = d.target.data.interaction_type;
-            return interactionColorMap[interactionType] || brandColors.mediumGrey;
-          } else if (d.target.depth === 2) {
-            const family = d.target.data.name;
-            const classType = familyClassMap[family] || "Unknown";
-            return classColorMap[classType];
-          }
-          return brandColors.lightGrey;
-        })
-        .style("stroke-width", d => d.target.data.value ? Math.sqrt(d.target.data.value) / 2 : 1.5)
-        .style("stroke-opacity", 0.6)
-        .style("stroke-dasharray", d => {
-          if (d.target.depth === 3) {
-            const interactionType = d.target.data.interaction_type;
-            return interactionType === "pollinates" ? "5,5" : "none";
-          }
-          return "none";
-        });
+      const overview = gElement.cloneNode(true);
+      overview.querySelectorAll("text").forEach(text => text.remove());
+      minimap.node().appendChild(overview);
 
-      console.log("Links created, now adding nodes");
-
-      // Add nodes
-      const node = svg.selectAll(".node")
-        .data(root.descendants())
-        .join("g")
-        .attr("class", d => `node ${d.children ? "node--internal" : "node--leaf"}`)
-        .attr("transform", d => {
-          // Special case for the root node (predator)
-          if (d.depth === 0) {
-            return `translate(0,0)`; // Position at center
-          }
-          return `translate(${radialPoint(d.x, d.y)})`;
-        });
+      minimapViewport = minimap.append("rect")
+        .attr("class", "minimap-viewport")
+        .style("fill", brandColors.glacierBlue)
+        .style("fill-opacity", 0.15)
+        .style("stroke", brandColors.glacierBlue)
+        .style("stroke-width", width / 100);
+      updateMinimapViewport(d3.zoomTransform(svgElement));
 
-      // Add node click handler for Wikipedia links
-      node.on("click", function(event, d) {
-        // Don't navigate if clicking on non-leaf kingdoms or families
-        if (d.depth === 1 || (d.depth === 2 && d.children)) {
-          return;
-        }
-        
-        const scientificName = extractScientificName(d.data.name);
-        const wikipediaUrl = getWikipediaUrl(scientificName);
-        
-        // Open Wikipedia in a new tab
-        window.open(wikipediaUrl, '_blank');
-        
-        // Prevent event bubbling
-        event.stopPropagation();
-      });
+      // Click or drag on the minimap to center the view on that point
+      const centerOn = event => {
+        const [x, y] = d3.pointer(event, minimap.node());
+        svgSelection.call(zoom.translateTo, x, y);
+      };
+      minimap.call(d3.drag().on("start", centerOn).on("drag", centerOn));
+    };
 
-      // Add cursor styling for clickable nodes
-      node.style("cursor", d => {
-        // Kingdoms and parent families aren't clickable
-        if (d.depth === 1 || (d.depth === 2 && d.children)) {
-          return "default";
+    // Collapse the internal nodes a predicate picks and expand the others
+    const collapseWhere = (shouldCollapse) => {
+      if (!root) {
+        return;
+      }
+      root.each(d => {
+        if (d.allChildren) {
+          d.collapsed = shouldCollapse(d);
         }
-        return "pointer";
       });
+      saveCollapsed();
+      render(root);
+    };
 
-      // Special handling for root node (predator)
-      node.filter(d => d.depth === 0)
-        .append("circle")
-        .attr("r", 50)
-        .style("fill", brandColors.darkPurple)
-        .style("stroke", brandColors.pureWhite)
-        .style("stroke-width", 2);
-
-      // Add circles to non-root nodes
-      node.filter(d => d.depth !== 0)
-        .append("circle")
-        .attr("r", d => {
-          if (d.depth === 1) return 8;  // Kingdom
-          if (d.depth === 2) return 6;  // Family
-          return d.data.value ? Math.sqrt(d.data.value) / 1.5 : 4; // Species
-        })
-        .style("fill", d => {
-          if (d.depth === 2) {
-            const family = d.data.name;
-            const classType = familyClassMap[family] || "Unknown";
-            return classColorMap[classType];
-          }
-          if (d.depth === 3) {
-            const family = d.parent.data.name;
-            const classType = familyClassMap[family] || "Unknown";
-            return classColorMap[classType];
-          }
-          return brandColors.mediumGrey; // Default
-        })
-        .style("stroke", brandColors.pureWhite)
-        .style("stroke-width", 1.5);
-
-      console.log("Nodes created, now adding labels");
-
-      // Special label for root node (horizontal text in center)
-      node.filter(d => d.depth === 0)
-        .append("text")
-        .attr("text-anchor", "middle")
-        .attr("dominant-baseline", "middle")
-        .text(d => {
-          const name = d.data.name;
-          const match = name.match(/(.+?) \((.+?)\)/);
-          return match ? match[2] : name; // Scientific name
-        })
-        .style("font-family", "'Kanit', sans-serif")
-        .style("font-size", "14px")
-        .style("font-weight", "bold")
-        .style("fill", brandColors.pureWhite);
-
-      // Add common name below scientific name for root
-      node.filter(d => d.depth === 0)
-        .append("text")
-        .attr("text-anchor", "middle")
-        .attr("y", 20)
-        .text(d => {
-          const name = d.data.name;
-          const match = name.match(/(.+?) \((.+?)\)/);
-          return match ? match[1] : ""; // Common name
-        })
-        .style("font-family", "'Roboto', sans-serif")
-        .style("font-size", "12px")
-        .style("fill", brandColors.pureWhite);
-
-      // Add labels to non-root nodes with different handling based on depth
-      const textLabels = node.filter(d => d.depth !== 0)
-        .append("text")
-        .attr("dy", "0.31em");
-        
-      // Special handling for family/class nodes (depth 2)
-      textLabels.filter(d => d.depth === 2)
-        .attr("text-anchor", d => d.x < Math.PI ? "start" : "end")
-        .attr("x", d => d.x < Math.PI ? 12 : -12) // Offset to prevent collision
-        .attr("transform", d => `rotate(${(d.x < Math.PI ? d.x - Math.PI / 2 : d.x + Math.PI / 2) * 180 / Math.PI})`)
-        .text(d => d.data.name)
-        .style("font-family", "'Roboto', sans-serif")
-        .style("font-size", "12px")
-        .style("font-weight", "bold")
-        .style("fill", d => {
-          const family = d.data.name;
-          const classType = familyClassMap[family] || "Unknown";
-          return classColorMap[classType];
-        })
-        // Add white outline to improve readability when crossing lines
-        .style("stroke", "#ffffff")
-        .style("stroke-width", 1)
-        .style("stroke-opacity", 0.7)
-        .style("paint-order", "stroke");
-      
-      // Handle other text labels (depth 1 and 3)
-      textLabels.filter(d => d.depth !== 2)
-        .attr("x", d => (d.x < Math.PI === !d.children) ? 6 : -6)
-        .attr("text-anchor", d => (d.x < Math.PI === !d.children) ? "start" : "end")
-        .attr("transform", d => `rotate(${(d.x < Math.PI ? d.x - Math.PI / 2 : d.x + Math.PI / 2) * 180 / Math.PI})`)
-        .text(d => {
-          if (d.depth === 3) {
-            // Extract common name from parenthesis for species
-            const match = d.data.name.match(/(.+?) \((.+?)\)/);
-            return match ? match[1] : d.data.name;
-          }
-          return d.data.name;
-        })
-        .style("font-family", d => {
-          if (d.depth === 1) return "'Kanit', sans-serif";
-          return "'Roboto', sans-serif";
-        })
-        .style("font-size", d => {
-          if (d.depth === 1) return "14px";
-          return "10px";
-        })
-        .style("font-weight", d => d.depth === 1 ? "bold" : "normal")
-        .style("fill", brandColors.carbonBlack);
-
-      // Add visual indicator for clickable nodes
-      node.filter(d => d.depth >= 2 && (!d.children))
-        .append("circle")
-        .attr("class", "link-indicator")
-        .attr("r", 3)
-        .attr("cx", d => (d.x < Math.PI === !d.children) ? 3 : -3)
-        .attr("cy", -6)
-        .style("fill", brandColors.glacierBlue)
-        .style("opacity", 0.8);
+    // Legend of the classes in the dataset with their number of species and,
+    // in the tree layouts, of the link colors. It stays put while zooming
+    const legend = svgSelection.append("g").attr("class", "legend");
 
-      // Add legend
-      const legend = svg.append("g")
-        .attr("transform", `translate(${-radius + 50}, ${-radius + 50})`);
-        
-      const classes = ["Mammalia", "Aves", "Actinopterygii"];
-      
-      classes.forEach((className, i) => {
-        const legendRow = legend.append("g")
-          .attr("transform", `translate(0, ${i * 25})`);
-          
-        legendRow.append("rect")
+    const renderLegend = () => {
+      legend.selectAll("*").remove();
+
+      const rows = options.classes.map(([className, count]) => ({
+        label: `${className} (${count})`,
+        toggle: { key: "hiddenClasses", value: className },
+        draw: row => row.append("rect")
           .attr("width", 20)
           .attr("height", 20)
-          .attr("fill", classColorMap[className]);
-          
-        legendRow.append("text")
-          .attr("x", 30)
-          .attr("y", 15)
-          .text(className)
-          .style("font-family", "'Roboto', sans-serif")
-          .style("font-size", "15px");
+          .attr("fill", classColor(className))
+      }));
+
+      if (TREE_LAYOUTS.includes(activeLayout)) {
+        options.interactionTypes.forEach(type => rows.push({
+          label: type,
+          toggle: { key: "hiddenInteractionTypes", value: type },
+          draw: row => row.append("line")
+            .attr("x1", 0)
+            .attr("y1", 10)
+            .attr("x2", 20)
+            .attr("y2", 10)
+            .style("stroke", interactionColorMap[type] || brandColors.mediumGrey)
+            .style("stroke-width", 2)
+            .style("stroke-dasharray", type === "pollinates" ? "5,5" : "none")
+        }));
+      }
+
+      rows.push({
+        label: "Click for details",
+        hint: true,
+        draw: row => row.append("circle")
+          .attr("r", 4)
+          .attr("cx", 10)
+          .attr("cy", 10)
+          .style("fill", brandColors.glacierBlue)
       });
 
-      // Add interaction type legend
-      const interactionTypes = ["preysOn", "eats", "pollinates"];
-      interactionTypes.forEach((type, i) => {
+      // Bottom left corner, clear of the controls and the minimap
+      legend.attr("transform", `translate(20, ${height - 30 - rows.length * 25})`);
+
+      legend.append("rect")
+        .attr("x", -10)
+        .attr("y", -10)
+        .attr("width", 240)
+        .attr("height", rows.length * 25 + 15)
+        .attr("rx", 6)
+        .style("fill", brandColors.pureWhite)
+        .style("fill-opacity", 0.85);
+
+      rows.forEach(({ label, toggle, hint, draw }, i) => {
         const legendRow = legend.append("g")
-          .attr("transform", `translate(0, ${(classes.length + i) * 25})`);
-          
-        legendRow.append("line")
-          .attr("x1", 0)
-          .attr("y1", 10)
-          .attr("x2", 20)
-          .attr("y2", 10)
-          .style("stroke", interactionColorMap[type])
-          .style("stroke-width", 2)
-          .style("stroke-dasharray", type === "pollinates" ? "5,5" : "none");
-          
-        legendRow.append("text")
+          .attr("class", hint ? "legend-hint" : null)
+          .attr("transform", `translate(0, ${i * 25})`);
+
+        draw(legendRow);
+
+        const text = legendRow.append("text")
           .attr("x", 30)
           .attr("y", 15)
-          .text(type)
+          .text(label)
           .style("font-family", "'Roboto', sans-serif")
           .style("font-size", "15px");
+
+        // Classes and interaction types toggle their filter, hidden ones are faded
+        if (toggle) {
+          const hidden = activeFilters[toggle.key].includes(toggle.value);
+          text.style("text-decoration", hidden ? "line-through" : null);
+          legendRow
+            .style("cursor", "pointer")
+            .style("opacity", hidden ? 0.4 : 1)
+            .on("click", () => toggleFilterValue(toggle.key, toggle.value));
+          legendRow.append("title").text(`${hidden ? "Show" : "Hide"} ${toggle.value}`);
+        }
       });
+    };
 
-      // Add legend for clickable nodes
-      const linkLegend = legend.append("g")
-        .attr("transform", `translate(0, ${(classes.length + interactionTypes.length) * 25 + 20})`);
-
-      linkLegend.append("circle")
-        .attr("r", 4)
-        .attr("cx", 10)
-        .attr("cy", 10)
-        .style("fill", brandColors.glacierBlue);
-
-      linkLegend.append("text")
-        .attr("x", 30)
-        .attr("y", 15)
-        .text("Click for Wikipedia article")
-        .style("font-family", "'Roboto', sans-serif")
-        .style("font-size", "15px");
-
-
-      // Add instructions
-
-      svg.append("text")
-        .attr("x", 0)
-        .attr("y", radius + 110)
-        .attr("text-anchor", "middle")
-        .style("font-family", "'Roboto', sans-serif")
-        .style("font-size", "14px")
-        .style("font-style", "italic")
-        .style("fill", brandColors.glacierBlue)
-        .text("Click on species to view Wikipedia article");
-        
-      console.log("Visualization created successfully");
-    } catch (vizError) {
-      console.error("Error creating visualization:", vizError);
-      
-      // Add error message to the visualization container
-      const vizContainer = vizRef.current;
-      vizContainer.innerHTML = '';
-      
-      const errorDiv = document.createElement("div");
-      errorDiv.style.color = brandColors.flamingRed;
-      errorDiv.style.padding = "20px";
-      errorDiv.style.fontFamily = "'Roboto', sans-serif";
-      errorDiv.textContent = `Visualization Error: ${vizError.message}`;
-      vizContainer.appendChild(errorDiv);
+    // Add instructions
+    svg.append("text")
+      .attr("class", "instructions")
+      .attr("x", 0)
+      .attr("y", radius + 110)
+      .attr("text-anchor", "middle")
+      .style("font-family", "'Roboto', sans-serif")
+      .style("font-size", "14px")
+      .style("font-style", "italic")
+      .style("fill", brandColors.glacierBlue)
+      .text("Hover a node for a summary and click it for details. Clicking kingdoms and families also expands, collapses or zooms into them. Scroll or pinch to zoom, drag to pan");
+
+    // Switch to another layout, starting it from its overview
+    const applyLayout = (nextLayout) => {
+      if (nextLayout === activeLayout) {
+        return;
+      }
+
+      activeLayout = nextLayout;
+      focusId = null;
+      plotLayer.selectAll("*").remove();
+      // The radial layouts are drawn around the center, the others from the top left corner
+      plotLayer.attr("transform", activeLayout === "radial" || activeLayout === "sunburst" ? null : `translate(${-width / 2},${-height / 2})`);
+
+      if (root) {
+        root.x0 = undefined;
+        root.y0 = undefined;
+        render(root);
+      }
+      renderLegend();
+    };
+
+    // Lay out the part of the dataset that passes the filters, keeping the
+    // collapsed nodes of the dataset
+    const relayout = () => {
+      visibleData = filterHierarchy(currentData, activeFilters);
+      root = buildHierarchy(visibleData, (a, b) => d3.ascending(a.data.name, b.data.name));
+
+      const kept = collapseState.current.name === dataName ? collapseState.current.collapsedIds : null;
+      const familyCount = root.descendants().filter(d => d.data.rank === "family").length;
+      root.each(d => {
+        d.collapsed = Boolean(d.allChildren) && (kept
+          ? kept.has(d.id)
+          // Large trees start with their species hidden
+          : d.data.rank === "family" && familyCount > COLLAPSE_FAMILIES_ABOVE);
+      });
+      saveCollapsed();
+
+      render(root);
+      renderLegend();
+
+      console.log("Tree layout generated with nodes:", root.descendants().length);
+    };
+
+    // Show a dataset, keeping the collapsed nodes and the pan and zoom when
+    // it is the one already on display
+    const applyData = (nextData) => {
+      const sameDataset = nextData.name === dataName;
+      dataName = nextData.name;
+      currentData = nextData;
+
+      // Color the classes present, the most common ones get the brand colors
+      options = filterOptions(nextData);
+      classColor = classColorScale(options.classes);
+
+      if (!sameDataset) {
+        focusId = null;
+      }
+      relayout();
+
+      if (!sameDataset) {
+        const keptTransform = zoomState.current.name === dataName
+          ? zoomState.current.transform
+          : d3.zoomIdentity;
+        svgSelection.call(zoom.transform, keptTransform);
+      }
+    };
+
+    // Every node of the laid out tree, collapsed ones included
+    const allNodes = () => {
+      const nodes = [];
+      const visit = d => {
+        nodes.push(d);
+        (d.allChildren || []).forEach(visit);
+      };
+      if (root) {
+        visit(root);
+      }
+      return nodes;
+    };
+
+    // Nodes whose name matches a query, best matches first
+    const findNodes = (query) => {
+      const normalizedQuery = normalizeName(query.trim());
+      if (!normalizedQuery) {
+        return [];
+      }
+
+      return _.sortBy(
+        allNodes()
+          .map(d => ({ d, score: fuzzyScore(normalizedQuery, normalizeName(d.data.name)) }))
+          .filter(({ score }) => score > 0),
+        ({ score }) => -score
+      ).map(({ d }) => ({ id: d.id, name: d.data.name, rank: d.data.rank }));
+    };
+
+    // Bring a node into view: expand its ancestors in the tree layouts or zoom
+    // the area layouts into its parent, then center the view on it
+    const focusNode = (id) => {
+      const target = allNodes().find(d => d.id === id);
+      if (!target) {
+        return;
+      }
+
+      let source = target;
+      if (TREE_LAYOUTS.includes(activeLayout)) {
+        target.ancestors().slice(1).forEach(ancestor => {
+          if (ancestor.collapsed) {
+            ancestor.collapsed = false;
+            source = ancestor;
+          }
+        });
+        saveCollapsed();
+      } else if (target.parent && !target.id.startsWith(`${focusId}/`)) {
+        focusId = target.parent.id;
+      }
+
+      // Center on the node once it has moved to its new place
+      const centerOnTarget = () => {
+        const element = plotLayer.selectAll(".node").filter(d => d.id === id).node();
+        if (!element) {
+          return;
+        }
+        const shape = element.querySelector(".node-circle, .cell-shape") || element;
+        const box = shape.getBBox();
+        const center = svgElement.createSVGPoint();
+        center.x = box.x + box.width / 2;
+        center.y = box.y + box.height / 2;
+        const { x, y } = center.matrixTransform(zoomLayer.getCTM().inverse().multiply(shape.getCTM()));
+        const scale = Math.max(d3.zoomTransform(svgElement).k, 2);
+
+        svgSelection.transition().duration(750).call(zoom.transform, d3.zoomIdentity
+          .translate(width / 2, height / 2)
+          .scale(scale)
+          .translate(-x, -y));
+      };
+
+      render(source).end().then(centerOnTarget).catch(() => {});
+    };
+
+    // Pin the details of a node by its id, as if it was clicked
+    const selectNode = (id) => {
+      const target = allNodes().find(d => d.id === id);
+      if (target) {
+        showDetails(target);
+      }
+    };
+
+    // Standalone copy of the drawing for export: the whole plot as filtered
+    // and collapsed, whatever part of it is in view, with the legend below it.
+    // Hover tooltips, find in tree markers and hints for the mouse are left out
+    const exportSvg = () => {
+      const padding = 20;
+      const plotBox = plotLayer.node().getBBox();
+      const legendBox = legend.node().getBBox();
+      const legendHeight = legendBox.height - legend.selectAll(".legend-hint").size() * 25;
+
+      const plot = plotLayer.node().cloneNode(true);
+      inlineComputedStyles(plotLayer.node(), plot);
+      plot.setAttribute("transform", `translate(${padding - plotBox.x},${padding - plotBox.y})`);
+      plot.querySelectorAll(".find-marker").forEach(marker => marker.remove());
+      plot.querySelectorAll(".node, .link").forEach(element => element.style.removeProperty("opacity"));
+
+      const legendCopy = legend.node().cloneNode(true);
+      inlineComputedStyles(legend.node(), legendCopy);
+      legendCopy.setAttribute("transform", `translate(${padding - legendBox.x},${padding + plotBox.height + padding - legendBox.y})`);
+      legendCopy.querySelectorAll(".legend-hint, title").forEach(element => element.remove());
+      legendCopy.querySelector("rect").setAttribute("height", legendHeight);
+
+      const exportWidth = Math.ceil(Math.max(plotBox.width, legendBox.width) + 2 * padding);
+      const exportHeight = Math.ceil(plotBox.height + legendHeight + 3 * padding);
+      const exported = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+      exported.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+      exported.setAttribute("width", exportWidth);
+      exported.setAttribute("height", exportHeight);
+      exported.setAttribute("viewBox", `0 0 ${exportWidth} ${exportHeight}`);
+      d3.select(exported).append("rect")
+        .attr("width", exportWidth)
+        .attr("height", exportHeight)
+        .attr("fill", brandColors.pureWhite);
+      exported.appendChild(plot);
+      exported.appendChild(legendCopy);
+      return exported;
+    };
+
+    // Show only the species that pass the filters
+    const applyFilters = (nextFilters) => {
+      activeFilters = nextFilters;
+      if (currentData) {
+        relayout();
+      }
+    };
+
+    return {
+      container: vizContainer,
+      setData: applyData,
+      setLayout: applyLayout,
+      setFilters: applyFilters,
+      findNodes,
+      focusNode,
+      selectNode,
+      exportSvg,
+      setTransform: transform => svgSelection.call(zoom.transform, transform),
+      zoomIn: () => svgSelection.transition().duration(250).call(zoom.scaleBy, 1.5),
+      zoomOut: () => svgSelection.transition().duration(250).call(zoom.scaleBy, 1 / 1.5),
+      fit: fitToView,
+      reset: () => svgSelection.transition().duration(500).call(zoom.transform, d3.zoomIdentity),
+      expandAll: () => collapseWhere(() => false),
+      collapseToFamilies: () => collapseWhere(d => d.data.rank === "family")
+    };
+  };
+
+  // In compare mode, highlight prey shared with the compared predators. With
+  // find in tree, mark the matches and keep their path to the root. Dim the rest
+  useEffect(() => {
+    if (!data || !vizRef.current) {
+      return;
     }
-  }, [data, brandColors]);
+    
+    const svg = d3.select(vizRef.current);
+    const sharedSpecies = new Set();
+    comparePairs.forEach(pair => pair.shared_species.forEach(species => sharedSpecies.add(species.toLowerCase())));
+    
+    const comparing = comparePairs.length > 0;
+    const isShared = d => sharedSpecies.has(extractScientificName(d.data.name).toLowerCase());
+    const dimmedByCompare = d => comparing && d.data.rank === "species" && !isShared(d);
+    
+    // Node ids are the names of their ancestors joined by slashes
+    const matchIds = findResult ? findResult.matches.map(match => match.id) : [];
+    const currentMatchId = matchIds.length > 0 ? matchIds[findResult.index] : null;
+    const finding = matchIds.length > 0;
+    const isMatch = d => matchIds.includes(d.id);
+    const dimmedByFind = d => finding && !matchIds.some(id => id === d.id || id.startsWith(`${d.id}/`));
+    
+    const nodes = svg.selectAll(".node")
+      .style("opacity", d => dimmedByFind(d) ? 0.15 : dimmedByCompare(d) ? 0.2 : null);
+    
+    svg.selectAll(".node--species").select(".node-circle")
+      .style("stroke", d => comparing && isShared(d) ? brandColors.darkPurple : brandColors.pureWhite)
+      .style("stroke-width", d => comparing && isShared(d) ? 3 : 1.5);
+    
+    svg.selectAll(".link")
+      .style("opacity", d => dimmedByFind(d.target) ? 0.1 : dimmedByCompare(d.target) ? 0.2 : null);
+    
+    // Rings around matching tree nodes, outlines around matching cells
+    nodes.each(function(d) {
+      const circle = this.querySelector(".node-circle");
+      d3.select(this).selectAll(".find-marker")
+        .data(circle && isMatch(d) ? [d] : [])
+        .join(enter => enter.insert("circle", ":first-child")
+          .attr("class", "find-marker")
+          .style("fill", "none")
+          .style("pointer-events", "none"))
+        .attr("r", () => Number(circle.getAttribute("r")) + 5)
+        .style("stroke", d.id === currentMatchId ? brandColors.flamingRed : brandColors.sunriseYellow)
+        .style("stroke-width", d.id === currentMatchId ? 4 : 2.5);
+    });
+    
+    svg.selectAll(".cell-shape")
+      .style("stroke", d => isMatch(d) ? (d.id === currentMatchId ? brandColors.flamingRed : brandColors.sunriseYellow) : brandColors.pureWhite)
+      .style("stroke-width", d => isMatch(d) ? 3 : 1);
+  }, [data, compareResult, findResult, layoutVersion]);
 
 
   return (
@@ -596,15 +2621,65 @@ const IlluminumStyledPredatorPreyTree = () => {
           
           {/* Search form */}
           <form onSubmit={handleSearch} className="flex flex-col md:flex-row space-y-2 md:space-y-0 md:space-x-2">
-            <div className="flex-grow">
+            <div className="flex-grow relative">
               <input
                 type="text"
                 className="w-full p-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-opacity-50"
-                placeholder="Search for a species (scientific name)"
+                placeholder="Search for a species (scientific or common name)"
                 value={searchQuery}
                 onChange={handleSearchChange}
+                onKeyDown={handleSearchKeyDown}
+                onFocus={() => suggestions.length > 0 && setShowSuggestions(true)}
+                onBlur={() => setShowSuggestions(false)}
+                role="combobox"
+                aria-autocomplete="list"
+                aria-expanded={showSuggestions && suggestions.length > 0}
+                aria-controls="species-suggestions"
+                aria-activedescendant={highlightedSuggestion >= 0 ? `species-suggestion-${highlightedSuggestion}` : undefined}
                 style={{borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
               />
+              
+              {/* Autocomplete dropdown */}
+              {showSuggestions && suggestions.length > 0 && (
+                <ul
+                  id="species-suggestions"
+                  role="listbox"
+                  className="absolute z-20 w-full mt-1 rounded-md shadow-lg overflow-hidden border"
+                  style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+                  // Keep the input focused so the click is not lost to the blur handler
+                  onMouseDown={(e) => e.preventDefault()}
+                >
+                  {suggestions.map((suggestion, index) => (
+                    <li
+                      key={suggestion.id}
+                      id={`species-suggestion-${index}`}
+                      role="option"
+                      aria-selected={index === highlightedSuggestion}
+                      className="px-3 py-2 cursor-pointer flex justify-between items-center"
+                      style={{
+                        backgroundColor: index === highlightedSuggestion ? brandColors.lightGrey : brandColors.pureWhite,
+                        color: brandColors.carbonBlack
+                      }}
+                      onMouseEnter={() => setHighlightedSuggestion(index)}
+                      onClick={() => selectSuggestion(suggestion)}
+                    >
+                      <div>
+                        <div className="text-sm">{suggestion.name}</div>
+                        {(suggestion.family || suggestion.class) && (
+                          <div className="text-xs" style={{color: brandColors.mediumGrey}}>
+                            {[suggestion.class, suggestion.family].filter(Boolean).join(" · ")}
+                          </div>
+                        )}
+                      </div>
+                      {suggestion.hasDataset && (
+                        <span className="text-xs px-2 py-0.5 rounded-full" style={{backgroundColor: brandColors.glacierBlue, color: brandColors.pureWhite}}>
+                          cached
+                        </span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
             <button
               type="submit"
@@ -617,8 +2692,183 @@ const IlluminumStyledPredatorPreyTree = () => {
           </form>
           
           {/* Current selection */}
-          <div className="text-sm font-medium" style={{color: brandColors.mediumGrey}}>
-            Currently viewing: <span style={{color: brandColors.darkPurple}}>{selectedPredator}</span>
+          <div className="text-sm font-medium flex flex-wrap items-center gap-2" style={{color: brandColors.mediumGrey}}>
+            <span>Currently viewing: <span style={{color: brandColors.darkPurple}}>{selectedPredator}</span></span>
+            {datasetInfo && datasetInfo.generatedAt && (
+              <span className="text-xs font-normal">
+                as of {formatAsOf(datasetInfo.generatedAt)}
+                {datasetInfo.refreshJobId && " · updating in the background..."}
+              </span>
+            )}
+            {selectedUpload ? (
+              <span className="text-xs font-normal">your upload{selectedUpload.filename && ` (${selectedUpload.filename})`}</span>
+            ) : (
+              <>
+                <button
+                  type="button"
+                  className="text-xs px-2 py-0.5 rounded-md"
+                  style={{backgroundColor: brandColors.glacierBlue, color: brandColors.pureWhite}}
+                  onClick={() => searchForPredator(selectedPredator)}
+                  disabled={loading}
+                >
+                  Refresh
+                </button>
+            
+                {/* Export menu */}
+                <div className="relative">
+                  <button
+                    type="button"
+                    className="text-xs px-2 py-0.5 rounded-md"
+                    style={{backgroundColor: brandColors.darkPurple, color: brandColors.pureWhite}}
+                    onClick={() => setShowExportMenu(open => !open)}
+                    aria-haspopup="menu"
+                    aria-expanded={showExportMenu}
+                  >
+                    Export
+                  </button>
+                  {showExportMenu && (
+                    <ul
+                      role="menu"
+                      className="absolute z-20 mt-1 w-48 rounded-md shadow-lg border text-sm font-normal"
+                      style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+                    >
+                      {exportFormats.map(({ format, label }) => (
+                        <li key={format} role="none">
+                          <a
+                            role="menuitem"
+                            className="block px-3 py-1 hover:bg-gray-100"
+                            style={{color: brandColors.carbonBlack}}
+                            href={`/api/predators/${encodeURIComponent(selectedPredator.replace(/ /g, '_'))}/export?format=${format}`}
+                            download
+                            onClick={() => setShowExportMenu(false)}
+                          >
+                            {label}
+                          </a>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+          
+          {/* Cached datasets */}
+          {datasets.length > 0 && (
+            <div className="mt-2">
+              <div className="text-sm font-medium mb-1" style={{color: brandColors.mediumGrey}}>Available predators:</div>
+              <ul className="text-sm divide-y" style={{borderColor: brandColors.lightGrey}}>
+                {datasets.map(dataset => (
+                  <li key={dataset.file} className="flex items-center justify-between py-1">
+                    <button
+                      type="button"
+                      className="text-left"
+                      style={{color: selectedPredator === dataset.taxon ? brandColors.darkPurple : brandColors.carbonBlack}}
+                      onClick={() => handleHistoryItemClick(dataset.taxon)}
+                    >
+                      {dataset.taxon}
+                      <span className="text-xs ml-2" style={{color: brandColors.mediumGrey}}>
+                        {dataset.species_count} species · as of {formatAsOf(dataset.generated_at)}
+                        {dataset.stale && " (outdated)"}
+                      </span>
+                    </button>
+                    <button
+                      type="button"
+                      className="text-xs px-2 py-0.5 rounded-md"
+                      style={{backgroundColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                      onClick={() => searchForPredator(dataset.taxon)}
+                      disabled={loading || Boolean(dataset.refreshJobId)}
+                      title={`Fetch fresh data for ${dataset.taxon}`}
+                    >
+                      {dataset.refreshJobId ? "Refreshing..." : "Refresh"}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          {/* Compare mode */}
+          {datasets.length > 1 && !selectedUpload && (
+            <div className="mt-2">
+              <div className="text-sm font-medium mb-1" style={{color: brandColors.mediumGrey}}>Compare diet with:</div>
+              <div className="flex flex-wrap gap-2">
+                {datasets.filter(dataset => dataset.taxon !== selectedPredator).map(dataset => (
+                  <button
+                    key={dataset.file}
+                    type="button"
+                    onClick={() => toggleCompareTaxon(dataset.taxon)}
+                    className="px-3 py-1 text-sm rounded-full"
+                    aria-pressed={compareTaxa.includes(dataset.taxon)}
+                    style={{
+                      backgroundColor: compareTaxa.includes(dataset.taxon) ? brandColors.glacierBlue : brandColors.lightGrey,
+                      color: compareTaxa.includes(dataset.taxon) ? brandColors.pureWhite : brandColors.carbonBlack
+                    }}
+                  >
+                    {dataset.taxon}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          
+          {/* Uploads of unpublished interaction data */}
+          <div className="mt-2">
+            <div className="text-sm font-medium mb-1" style={{color: brandColors.mediumGrey}}>Upload your own data:</div>
+            <input
+              type="file"
+              accept=".csv,.tsv,.tab,.txt,text/csv,text/tab-separated-values"
+              onChange={handleUploadChange}
+              className="text-sm"
+              disabled={uploadStatus && uploadStatus.uploading}
+            />
+            <div className="text-xs mt-1" style={{color: brandColors.mediumGrey}}>
+              CSV or TSV with the columns predator, prey, interaction_type (preysOn, eats or pollinates) and count,
+              optionally kingdom, class, order, family and prey_common_name. Uploads stay private to this browser.
+            </div>
+            {uploadStatus && uploadStatus.uploading && (
+              <div className="text-sm mt-1" style={{color: brandColors.mediumGrey}}>Uploading...</div>
+            )}
+            {uploadStatus && uploadStatus.success && (
+              <div className="text-sm mt-1" style={{color: brandColors.grassGreen}}>{uploadStatus.success}</div>
+            )}
+            {uploadStatus && uploadStatus.error && (
+              <div className="text-sm mt-1 p-2 rounded" style={{backgroundColor: "#FEF2F2", color: brandColors.flamingRed}}>
+                <div>{uploadStatus.error}</div>
+                {uploadStatus.errors.length > 0 && (
+                  <ul className="text-xs mt-1 max-h-40 overflow-auto">
+                    {uploadStatus.errors.map((rowError, index) => (
+                      <li key={index}>
+                        {rowError.row ? `Row ${rowError.row}` : "File"}
+                        {rowError.column && `, ${rowError.column}`}: {rowError.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {uploadStatus.totalErrors > uploadStatus.errors.length && (
+                  <div className="text-xs mt-1">...and {uploadStatus.totalErrors - uploadStatus.errors.length} more</div>
+                )}
+              </div>
+            )}
+            {uploads.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {uploads.map(upload => (
+                  <button
+                    key={upload.id}
+                    type="button"
+                    onClick={() => viewUpload(upload)}
+                    className="px-3 py-1 text-sm rounded-full"
+                    title={upload.filename || undefined}
+                    style={{
+                      backgroundColor: selectedUpload && selectedUpload.id === upload.id ? brandColors.grassGreen : brandColors.lightGrey,
+                      color: selectedUpload && selectedUpload.id === upload.id ? brandColors.pureWhite : brandColors.carbonBlack
+                    }}
+                  >
+                    {upload.predator} (upload)
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
           
           {/* Recent searches */}
@@ -643,36 +2893,598 @@ const IlluminumStyledPredatorPreyTree = () => {
             </div>
           )}
           
+          {/* Trail of predators reached by pivoting on prey */}
+          {trail.taxa.length > 1 && !selectedUpload && (
+            <nav className="flex items-center flex-wrap gap-1 mt-2 text-sm" aria-label="Trail">
+              {[
+                { step: -1, label: "\u2190", title: "Back" },
+                { step: 1, label: "\u2192", title: "Forward" }
+              ].map(({ step, label, title }) => (
+                <button
+                  key={step}
+                  type="button"
+                  className="px-2 py-0.5 rounded-md border"
+                  style={{borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                  title={title}
+                  aria-label={title}
+                  disabled={loading || !trail.taxa[trail.index + step]}
+                  onClick={() => goToTrailStep(trail.index + step)}
+                >
+                  {label}
+                </button>
+              ))}
+              {trail.taxa.map((taxon, index) => (
+                <React.Fragment key={index}>
+                  {index > 0 && <span style={{color: brandColors.mediumGrey}}>&rarr;</span>}
+                  <button
+                    type="button"
+                    className={`italic ${index === trail.index ? "font-bold" : "underline"}`}
+                    style={{color: index === trail.index ? brandColors.darkPurple : index > trail.index ? brandColors.mediumGrey : brandColors.carbonBlack}}
+                    aria-current={index === trail.index ? "step" : undefined}
+                    disabled={loading || index === trail.index}
+                    onClick={() => goToTrailStep(index)}
+                  >
+                    {taxon}
+                  </button>
+                </React.Fragment>
+              ))}
+            </nav>
+          )}
+          
           {/* Help text */}
           <div className="text-xs mt-1" style={{color: brandColors.mediumGrey}}>
-            Enter a scientific name (e.g., "Panthera leo" for lions) to visualize their prey network
+            Enter a scientific or common name (e.g., "Panthera leo" or "lion") to visualize their prey network
           </div>
         </div>
       </div>
       
-      <div className="relative w-full" style={{ height: "1400px", maxWidth: "2000px" }}>
-        {loading && (
-          <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-80 z-10">
-            <div className="flex flex-col items-center">
-              <svg className="animate-spin -ml-1 mr-3 h-10 w-10" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-              </svg>
-              <span className="text-lg font-medium" style={{color: brandColors.darkPurple}}>Loading relations data...</span>
-            </div>
+      {/* Diet overlap with the compared predators */}
+      {compareTaxa.some(taxon => taxon !== selectedPredator) && (
+        <div className="w-full max-w-2xl mb-4 p-3 rounded-lg border text-sm" style={{borderColor: brandColors.lightGrey}}>
+          <div className="flex justify-between items-center mb-2">
+            <span className="font-medium" style={{color: brandColors.darkPurple}}>Diet overlap</span>
+            <button
+              type="button"
+              className="text-xs px-2 py-0.5 rounded-md"
+              style={{backgroundColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+              onClick={() => setCompareTaxa([])}
+            >
+              Exit compare mode
+            </button>
           </div>
+          {compareResult && compareResult.error && (
+            <div style={{color: brandColors.flamingRed}}>{compareResult.error}</div>
+          )}
+          {!compareResult && (
+            <div style={{color: brandColors.mediumGrey}}>Comparing diets...</div>
+          )}
+          {comparePairs.map(pair => {
+            const other = pair.taxa.find(taxon => taxon !== selectedPredator);
+            return (
+              <div key={other} className="mb-2">
+                <div className="font-medium">{selectedPredator} vs {other}</div>
+                <div className="grid grid-cols-3 gap-x-4 text-xs" style={{color: brandColors.mediumGrey}}>
+                  <span>Shared species: {pair.shared_species_count}</span>
+                  <span>Shared families: {pair.shared_family_count}</span>
+                  <span>Jaccard (species): {pair.jaccard_species.toFixed(2)}</span>
+                  <span>Jaccard (families): {pair.jaccard_families.toFixed(2)}</span>
+                  <span>Pianka overlap: {pair.pianka.toFixed(2)}</span>
+                  <span>Bray-Curtis similarity: {pair.bray_curtis.toFixed(2)}</span>
+                </div>
+              </div>
+            );
+          })}
+          {comparePairs.length > 0 && (
+            <div className="text-xs italic" style={{color: brandColors.mediumGrey}}>
+              Prey shared with the compared predators are outlined in the tree, the rest is dimmed.
+            </div>
+          )}
+        </div>
+      )}
+      
+      <div className="flex w-full space-x-4" style={{ maxWidth: "2000px" }}>
+        {/* Filters of the prey in the tree */}
+        {data && !notFound && !error && datasetFilterOptions && (
+          <aside
+            className="w-64 flex-shrink-0 self-start p-4 rounded-lg shadow-sm border"
+            style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+            aria-label="Filters"
+          >
+            <div className="flex justify-between items-center mb-1">
+              <h3 className="text-lg" style={{color: brandColors.darkPurple}}>Filters</h3>
+              {activeFilterChips.length > 0 && (
+                <button
+                  type="button"
+                  className="text-xs underline"
+                  style={{color: brandColors.glacierBlue}}
+                  onClick={() => setFilters(DEFAULT_FILTERS)}
+                >
+                  Clear all
+                </button>
+              )}
+            </div>
+            <div className="text-xs mb-3" style={{color: brandColors.mediumGrey}}>
+              Showing {visibleSpeciesCount} of {hierarchySpecies(data).length} species
+            </div>
+            
+            {/* Active filters, click one to remove it */}
+            {activeFilterChips.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-3">
+                {activeFilterChips.map(chip => (
+                  <button
+                    key={chip.key}
+                    type="button"
+                    className="px-2 py-1 text-xs rounded-full"
+                    style={{backgroundColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                    onClick={() => setFilters(chip.without)}
+                    aria-label={`Remove filter ${chip.label}`}
+                  >
+                    {chip.label} &times;
+                  </button>
+                ))}
+              </div>
+            )}
+            
+            <div className="text-sm font-medium mb-1" style={{color: brandColors.mediumGrey}}>Interaction types</div>
+            {_.union(Object.keys(interactionColorMap), datasetFilterOptions.interactionTypes).map(type => (
+              <label
+                key={type}
+                className="flex items-center text-sm space-x-2"
+                style={{color: datasetFilterOptions.interactionTypes.includes(type) ? brandColors.carbonBlack : brandColors.lightGrey}}
+                title={datasetFilterOptions.interactionTypes.includes(type) ? undefined : "No records of this type in the dataset"}
+              >
+                <input
+                  type="checkbox"
+                  checked={!filters.hiddenInteractionTypes.includes(type)}
+                  disabled={!datasetFilterOptions.interactionTypes.includes(type)}
+                  onChange={() => toggleFilterValue("hiddenInteractionTypes", type)}
+                />
+                <span className="inline-block w-4 h-1" style={{backgroundColor: interactionColorMap[type] || brandColors.mediumGrey}} />
+                <span>{type}</span>
+              </label>
+            ))}
+            
+            <div className="text-sm font-medium mt-3 mb-1" style={{color: brandColors.mediumGrey}}>Classes</div>
+            {datasetFilterOptions.classes.map(([className, count]) => (
+              <label key={className} className="flex items-center text-sm space-x-2">
+                <input
+                  type="checkbox"
+                  checked={!filters.hiddenClasses.includes(className)}
+                  onChange={() => toggleFilterValue("hiddenClasses", className)}
+                />
+                <span className="inline-block w-3 h-3 rounded-sm" style={{backgroundColor: datasetClassColor(className)}} />
+                <span className="flex-grow">{className}</span>
+                <span className="text-xs" style={{color: brandColors.mediumGrey}}>{count}</span>
+              </label>
+            ))}
+            
+            <label className="block text-sm font-medium mt-3 mb-1" style={{color: brandColors.mediumGrey}} htmlFor="filter-min-count">
+              At least {filters.minCount} record{filters.minCount === 1 ? "" : "s"}
+            </label>
+            <input
+              id="filter-min-count"
+              type="range"
+              className="w-full"
+              min={0}
+              max={datasetFilterOptions.maxCount}
+              value={Math.min(filters.minCount, datasetFilterOptions.maxCount)}
+              onChange={(e) => {
+                const minCount = Number(e.target.value);
+                setFilters(current => ({ ...current, minCount }));
+              }}
+            />
+            
+            <label className="block text-sm font-medium mt-3 mb-1" style={{color: brandColors.mediumGrey}} htmlFor="filter-families">
+              Families
+            </label>
+            <select
+              id="filter-families"
+              multiple
+              size={8}
+              className="w-full p-1 text-sm border rounded-md"
+              style={{borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+              value={filters.families}
+              onChange={(e) => {
+                const families = Array.from(e.target.selectedOptions, option => option.value);
+                setFilters(current => ({ ...current, families }));
+              }}
+            >
+              {datasetFilterOptions.families.map(family => (
+                <option key={family} value={family}>{family}</option>
+              ))}
+            </select>
+            <div className="text-xs mt-1" style={{color: brandColors.mediumGrey}}>
+              Ctrl or Cmd click to pick several. With none picked, every family is shown.
+            </div>
+          </aside>
         )}
         
-        {error ? (
-          <div className="p-4 rounded" style={{backgroundColor: "#FEF2F2", color: brandColors.flamingRed}}>{error}</div>
-        ) : (
-          <div 
-            ref={vizRef}
-            className="overflow-auto p-4 border rounded-lg shadow-sm h-full" 
-            style={{ width: "100%", backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey }}>
-          </div>
-        )}
+        <div className="relative flex-grow" style={{ height: "1400px" }}>
+          {loading && (
+            <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-80 z-10">
+              <div className="flex flex-col items-center">
+                <svg className="animate-spin -ml-1 mr-3 h-10 w-10" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                <span className="text-lg font-medium" style={{color: brandColors.darkPurple}}>Loading relations data...</span>
+              
+                {/* Progress of the server-side fetch job */}
+                {fetchProgress && fetchProgress.queued && (
+                  <div className="mt-4 text-sm" style={{color: brandColors.mediumGrey}}>
+                    Waiting for a free worker (position {fetchProgress.queuePosition} in queue)
+                  </div>
+                )}
+                {fetchProgress && !fetchProgress.queued && (
+                  <div className="mt-4 w-80">
+                    <div className="w-full h-2 rounded-full overflow-hidden" style={{backgroundColor: brandColors.lightGrey}}>
+                      <div
+                        className="h-full"
+                        style={{
+                          width: `${Math.round(fetchProgress.current / fetchProgress.total * 100)}%`,
+                          backgroundColor: brandColors.glacierBlue,
+                          transition: "width 0.3s ease"
+                        }}
+                      />
+                    </div>
+                    <div className="flex justify-between text-xs mt-1" style={{color: brandColors.mediumGrey}}>
+                      <span>
+                        {fetchProgress.stage === "interactions"
+                          ? `Interaction records, page ${fetchProgress.current} of at most ${fetchProgress.total}`
+                          : `Species ${fetchProgress.current} of ${fetchProgress.total}`}
+                      </span>
+                      <span>{formatEta(fetchProgress.etaSeconds)}</span>
+                    </div>
+                    <div className="text-xs truncate italic" style={{color: brandColors.mediumGrey}}>
+                      {fetchProgress.stage === "interactions" ? `Reading "${fetchProgress.interactionType}" records` : fetchProgress.species}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        
+          {notFound ? (
+            <div className="p-4 rounded-lg border" style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}>
+              <h3 className="text-lg font-bold mb-2" style={{color: brandColors.darkPurple}}>
+                No prey data for {notFound.taxon}
+              </h3>
+              {notFound.reason && (
+                <div className="text-sm mb-2" style={{color: brandColors.flamingRed}}>{notFound.reason}</div>
+              )}
+              {notFound.loading && (
+                <div className="text-sm" style={{color: brandColors.mediumGrey}}>Looking for similar names...</div>
+              )}
+              {/* The name is a common name or an outdated synonym of a known taxon */}
+              {notFound.match && notFound.match.scientificName.toLowerCase() !== notFound.taxon.toLowerCase() && (
+                <div className="text-sm mb-2" style={{color: brandColors.carbonBlack}}>
+                  {notFound.taxon} is {notFound.match.matchedSynonym ? "an older name for" : "the common name of"}{" "}
+                  <button
+                    type="button"
+                    className="underline font-medium"
+                    style={{color: brandColors.darkPurple}}
+                    onClick={() => selectSuggestion(notFound.match)}
+                  >
+                    {notFound.match.name}
+                  </button>
+                  {notFound.match.hasDataset && " (data available)"}
+                </div>
+              )}
+              {notFound.suggestions.length > 0 && (
+                <div className="mb-3">
+                  <div className="text-sm font-medium mb-1" style={{color: brandColors.mediumGrey}}>Did you mean:</div>
+                  <div className="flex flex-wrap gap-2">
+                    {notFound.suggestions.map(suggestion => (
+                      <button
+                        key={suggestion.id}
+                        type="button"
+                        className="px-3 py-1 text-sm rounded-full"
+                        style={{backgroundColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                        onClick={() => selectSuggestion(suggestion)}
+                      >
+                        {suggestion.name}
+                        {suggestion.hasDataset && (
+                          <span className="text-xs ml-1" style={{color: brandColors.grassGreen}}>data available</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {!notFound.loading && !notFound.match && notFound.suggestions.length === 0 && (
+                <div className="text-sm mb-3" style={{color: brandColors.mediumGrey}}>No similar names are known.</div>
+              )}
+              <button
+                type="button"
+                className="px-4 py-2 rounded-md text-sm"
+                style={{backgroundColor: brandColors.darkPurple, color: brandColors.pureWhite}}
+                onClick={() => searchForPredator(notFound.taxon)}
+                disabled={loading}
+              >
+                Fetch fresh data for {notFound.taxon} from GloBI
+              </button>
+            </div>
+          ) : error ? (
+            <div className="p-4 rounded" style={{backgroundColor: "#FEF2F2", color: brandColors.flamingRed}}>{error}</div>
+          ) : (
+            <>
+              <div 
+                ref={vizRef}
+                className="overflow-auto p-4 border rounded-lg shadow-sm h-full" 
+                style={{ width: "100%", backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey }}>
+              </div>
+            
+              {/* Zoom controls and overview of the tree */}
+              {data && (
+                <>
+                  <div className="absolute top-4 left-4 space-y-1 z-10">
+                    <div className="flex space-x-1">
+                      <select
+                        value={layout}
+                        onChange={(e) => setLayout(e.target.value)}
+                        className="px-2 py-1 text-sm rounded-md shadow-sm border"
+                        style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                        aria-label="Layout"
+                      >
+                        {LAYOUTS.map(option => (
+                          <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                      </select>
+                      {[
+                        { action: "zoomIn", label: "+", title: "Zoom in" },
+                        { action: "zoomOut", label: "\u2212", title: "Zoom out" },
+                        { action: "fit", label: "Fit to view", title: "Fit the whole tree into view" },
+                        { action: "reset", label: "Reset", title: "Reset pan and zoom" },
+                        ...(TREE_LAYOUTS.includes(layout) ? [
+                          { action: "expandAll", label: "Expand all", title: "Show every family and species" },
+                          { action: "collapseToFamilies", label: "Collapse to families", title: "Hide the species of every family" }
+                        ] : [])
+                      ].map(({ action, label, title }) => (
+                        <button
+                          key={action}
+                          type="button"
+                          className="px-2 py-1 text-sm rounded-md shadow-sm border"
+                          style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                          title={title}
+                          aria-label={title}
+                          onClick={() => chartRef.current && chartRef.current[action]()}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                      {/* Image export menu */}
+                      <div className="relative">
+                        <button
+                          type="button"
+                          className="px-2 py-1 text-sm rounded-md shadow-sm border"
+                          style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                          onClick={() => setShowImageMenu(open => !open)}
+                          aria-haspopup="menu"
+                          aria-expanded={showImageMenu}
+                        >
+                          Save image
+                        </button>
+                        {showImageMenu && (
+                          <div
+                            role="menu"
+                            className="absolute z-20 mt-1 w-56 p-2 rounded-md shadow-lg border text-sm"
+                            style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+                          >
+                            <label className="flex items-center justify-between mb-2 text-xs" style={{color: brandColors.mediumGrey}}>
+                              PNG and PDF resolution
+                              <select
+                                value={exportDpi}
+                                onChange={(e) => setExportDpi(Number(e.target.value))}
+                                className="ml-2 px-1 py-0.5 rounded border"
+                                style={{borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                              >
+                                {EXPORT_DPIS.map(dpi => (
+                                  <option key={dpi} value={dpi}>{dpi} DPI</option>
+                                ))}
+                              </select>
+                            </label>
+                            {[
+                              { format: "svg", label: "SVG (vector, editable)" },
+                              { format: "png", label: "PNG" },
+                              { format: "pdf", label: "PDF with title and credits" }
+                            ].map(({ format, label }) => (
+                              <button
+                                key={format}
+                                type="button"
+                                role="menuitem"
+                                className="block w-full text-left px-2 py-1 rounded hover:bg-gray-100"
+                                style={{color: brandColors.carbonBlack}}
+                                onClick={() => exportImage(format)}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                    {imageExportStatus && (
+                      <div className="px-2 py-1 text-xs rounded-md shadow-sm" style={{backgroundColor: brandColors.pureWhite, color: imageExportStatus.startsWith("Export failed") ? brandColors.flamingRed : brandColors.mediumGrey}} aria-live="polite">
+                        {imageExportStatus}
+                      </div>
+                    )}
+                    {/* Find in tree */}
+                    <div className="flex items-center space-x-1">
+                      <input
+                        type="search"
+                        className="w-64 px-2 py-1 text-sm rounded-md shadow-sm border focus:outline-none"
+                        style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                        placeholder="Find in tree"
+                        value={findQuery}
+                        onChange={handleFindChange}
+                        onKeyDown={handleFindKeyDown}
+                        aria-label="Find in tree"
+                      />
+                      {findResult && (
+                        <>
+                          <span className="px-1 text-xs" style={{color: findResult.matches.length > 0 ? brandColors.mediumGrey : brandColors.flamingRed}} aria-live="polite">
+                            {findResult.matches.length > 0
+                              ? `${findResult.index + 1} of ${findResult.matches.length}`
+                              : "No matches"}
+                          </span>
+                          {[
+                            { step: -1, label: "\u25B2", title: "Previous match" },
+                            { step: 1, label: "\u25BC", title: "Next match" }
+                          ].map(({ step, label, title }) => (
+                            <button
+                              key={step}
+                              type="button"
+                              className="px-2 py-1 text-xs rounded-md shadow-sm border"
+                              style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey, color: brandColors.carbonBlack}}
+                              title={title}
+                              aria-label={title}
+                              disabled={findResult.matches.length < 2}
+                              onClick={() => stepFindMatch(step)}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  <div
+                    ref={minimapRef}
+                    className="absolute bottom-4 right-4 rounded border shadow-sm z-10"
+                    style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+                    title="Click or drag to move the view"
+                  />
+                </>
+              )}
+            </>
+          )}
+        
+          {/* Details of the clicked node, with "Who else eats this?" for prey */}
+          {selectedNode && (
+            <div
+              className="absolute top-4 right-4 w-80 p-4 rounded-lg shadow-lg border z-20"
+              style={{backgroundColor: brandColors.pureWhite, borderColor: brandColors.lightGrey}}
+              aria-label="Details"
+            >
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="text-lg" style={{color: brandColors.darkPurple}}>
+                    {selectedNode.vernacularName || selectedNode.scientificName}
+                  </h3>
+                  {selectedNode.vernacularName && (
+                    <div className="text-sm italic" style={{color: brandColors.carbonBlack}}>{selectedNode.scientificName}</div>
+                  )}
+                  <div className="text-xs" style={{color: brandColors.mediumGrey}}>
+                    {selectedNode.rank}{selectedNode.family && ` in ${selectedNode.family}`}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  className="text-lg leading-none px-1"
+                  style={{color: brandColors.mediumGrey}}
+                  onClick={() => setSelectedNode(null)}
+                  aria-label="Close"
+                >
+                  &times;
+                </button>
+              </div>
+            
+              <dl className="grid grid-cols-2 gap-x-2 gap-y-1 text-sm mt-3">
+                {[
+                  ["Class", selectedNode.class],
+                  ["Order", selectedNode.order],
+                  ["Records", selectedNode.records],
+                  ["Prey taxa", selectedNode.taxa],
+                  ["Share of diet", selectedNode.share === null ? null : formatShare(selectedNode.share)]
+                ].filter(([, value]) => value !== null && value !== undefined).map(([term, value]) => (
+                  <React.Fragment key={term}>
+                    <dt style={{color: brandColors.mediumGrey}}>{term}</dt>
+                    <dd style={{color: brandColors.carbonBlack}}>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+              {Object.keys(selectedNode.interactions).length > 0 && (
+                <ul className="text-sm mt-2 space-y-1">
+                  {Object.entries(selectedNode.interactions).map(([type, count]) => (
+                    <li key={type} className="flex items-center space-x-2">
+                      <span className="inline-block w-4 h-1" style={{backgroundColor: interactionColorMap[type] || brandColors.mediumGrey}} />
+                      <span className="flex-grow">{type}</span>
+                      <span style={{color: brandColors.mediumGrey}}>{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            
+              {/* Follow the food chain down: the prey becomes the focal taxon */}
+              {selectedNode.rank === "species" && (
+                <button
+                  type="button"
+                  className="w-full mt-3 px-3 py-1 text-sm rounded-md"
+                  style={{backgroundColor: brandColors.darkPurple, color: brandColors.pureWhite}}
+                  onClick={() => pivotTo(selectedNode.scientificName)}
+                  disabled={loading}
+                >
+                  Show this species' diet
+                </button>
+              )}
+            
+              {/* Kingdoms and families of unknown prey aren't taxa to look up */}
+              {selectedNode.scientificName !== "Unknown" && (
+                <div className="flex space-x-3 text-sm mt-3">
+                  {[
+                    { label: "Wikipedia", url: getWikipediaUrl(selectedNode.scientificName) },
+                    { label: "GBIF", url: getGbifUrl(selectedNode.scientificName) },
+                    { label: "GloBI", url: getGlobiUrl(selectedNode.scientificName) }
+                  ].map(({ label, url }) => (
+                    <a
+                      key={label}
+                      href={url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="underline"
+                      style={{color: brandColors.glacierBlue}}
+                    >
+                      {label}
+                    </a>
+                  ))}
+                </div>
+              )}
+            
+              {selectedNode.rank === "species" && (
+                <div className="text-sm font-medium mt-3 mb-1" style={{color: brandColors.mediumGrey}}>Who else eats this?</div>
+              )}
+              {preyPredators && preyPredators.loading && (
+                <div className="text-sm" style={{color: brandColors.mediumGrey}}>Looking up predators...</div>
+              )}
+              {preyPredators && preyPredators.error && (
+                <div className="text-sm" style={{color: brandColors.flamingRed}}>{preyPredators.error}</div>
+              )}
+              {preyPredators && !preyPredators.loading && !preyPredators.error && (
+                <ul className="text-sm space-y-1">
+                  {preyPredators.predators.map(predator => (
+                    <li key={predator.predator} className="flex justify-between items-center">
+                      <button
+                        type="button"
+                        className="text-left underline"
+                        style={{color: predator.predator === selectedPredator ? brandColors.darkPurple : brandColors.carbonBlack}}
+                        onClick={() => handleHistoryItemClick(predator.predator)}
+                      >
+                        {predator.name}
+                      </button>
+                      <span className="text-xs" style={{color: brandColors.mediumGrey}}>
+                        {predator.count} records{predator.interaction_types.length > 0 && ` · ${predator.interaction_types.join(", ")}`}
+                      </span>
+                    </li>
+                  ))}
+                  {preyPredators.predators.length === 0 && (
+                    <li style={{color: brandColors.mediumGrey}}>No cached predator eats this species.</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )}
 
+        </div>
       </div></div>
   );
 }
@@ -0,0 +1,181 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-fetch-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+// One fetch per client and window, so a second request hits the limit
+process.env.FETCH_RATE_LIMIT = '1';
+// One running and one waiting fetch fill the queue
+process.env.MAX_CONCURRENT_FETCHES = '1';
+process.env.MAX_QUEUED_FETCHES = '1';
+// Tell clients apart by X-Forwarded-For, so every test has its own rate limit
+process.env.TRUST_PROXY = '1';
+
+const { app, createGlobiDataSource, setDataSource } = require('../server');
+
+const records = [
+  { species: 'Lepus timidus', kingdom: 'Animalia', class: 'Mammalia', order: 'Lagomorpha', family: 'Leporidae', interaction_type: 'eats', count: 3 }
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Ask for a fetch of a predator on behalf of a client
+const requestFetch = (predator, client) => fetch(`${baseUrl}/api/fetch-predator-data?predator=${encodeURIComponent(predator)}`, {
+  method: 'POST',
+  headers: { 'X-Forwarded-For': client }
+});
+
+// Poll a fetch job until it has finished
+const waitForJob = async (jobId) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { job } = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+test('offline mode answers taxa without a recording with the ones it has', async () => {
+  const fixturesDir = path.join(dataDir, 'fixtures');
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, 'canis_lupus.json'), JSON.stringify({ taxon: 'Canis lupus', responses: {} }));
+  setDataSource(createGlobiDataSource({ mode: 'replay', fixturesDir }));
+
+  const response = await requestFetch('Felis catus', '10.0.0.1');
+
+  assert.equal(response.status, 404);
+  const body = await response.json();
+  assert.equal(body.success, false);
+  assert.deepEqual(body.recordedTaxa, ['Canis lupus']);
+  assert.match(body.error, /No recording for Felis catus/);
+});
+
+test('offline mode answers 503 when the recordings can\'t be listed', async () => {
+  // A file where the recordings directory should be can't be read as one
+  const fixturesDir = path.join(dataDir, 'not-a-directory');
+  fs.writeFileSync(fixturesDir, '');
+  setDataSource(createGlobiDataSource({ mode: 'replay', fixturesDir }));
+
+  const response = await requestFetch('Canis lupus', '10.0.0.2');
+
+  assert.equal(response.status, 503);
+  const body = await response.json();
+  assert.equal(body.success, false);
+  assert.ok(body.details);
+});
+
+test('a free request to join a job that finishes while recordings are listed is charged', async () => {
+  let listingStarted;
+  let finishListing = () => {};
+  let finishFetch;
+  let listed = Promise.resolve();
+  setDataSource({
+    name: 'fake',
+    mode: 'replay',
+    async listRecordedTaxa() {
+      listingStarted();
+      await listed;
+      return ['Lynx lynx'];
+    },
+    fetchInteractions: () => new Promise(resolve => {
+      finishFetch = () => resolve({ vernacularName: null, generatedAt: null, records });
+    }),
+    async resolveTaxonomy() {
+      return null;
+    }
+  });
+
+  // The first request starts the job and uses up the client's only fetch
+  let started = new Promise(resolve => { listingStarted = resolve; });
+  const first = await requestFetch('Lynx lynx', '10.0.0.3');
+  assert.equal(first.status, 202);
+  const { jobId } = await first.json();
+  await started;
+
+  // The second one gets in for free, then waits for the recordings while the job finishes
+  started = new Promise(resolve => { listingStarted = resolve; });
+  listed = new Promise(resolve => { finishListing = resolve; });
+  const joining = requestFetch('Lynx lynx', '10.0.0.3');
+  await started;
+  finishFetch();
+  assert.equal((await waitForJob(jobId)).status, 'succeeded');
+  finishListing();
+
+  const response = await joining;
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+});
+
+test('fetches are rate limited per client, except for joining a running job, and queued up to a bound', async () => {
+  // Fetches that wait until the test lets them finish
+  const waiting = [];
+  setDataSource({
+    name: 'fake',
+    mode: 'live',
+    fetchInteractions: () => new Promise(resolve => {
+      waiting.push(() => resolve({ vernacularName: null, generatedAt: null, records }));
+    }),
+    async resolveTaxonomy() {
+      return null;
+    }
+  });
+
+  const running = await requestFetch('Martes martes', '10.0.1.1');
+  assert.equal(running.status, 202);
+  const runningJob = (await running.json()).jobId;
+
+  // Joining the running job is free, so the client can still do so
+  const joined = await requestFetch('Martes  martes', '10.0.1.1');
+  assert.equal(joined.status, 202);
+  const joinedBody = await joined.json();
+  assert.equal(joinedBody.attached, true);
+  assert.equal(joinedBody.jobId, runningJob);
+
+  // A new taxon is over the limit of the client
+  const limited = await requestFetch('Meles meles', '10.0.1.1');
+  assert.equal(limited.status, 429);
+  const limitedBody = await limited.json();
+  assert.ok(limitedBody.retryAfter > 0);
+  assert.equal(limited.headers.get('retry-after'), String(limitedBody.retryAfter));
+
+  // Another client's job waits for the only fetch slot and fills the queue
+  const queued = await requestFetch('Meles meles', '10.0.1.2');
+  assert.equal(queued.status, 202);
+  const queuedJob = (await queued.json()).jobId;
+  const { job } = await (await fetch(`${baseUrl}/api/jobs/${queuedJob}`)).json();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.queuePosition, 1);
+
+  const full = await requestFetch('Lutra lutra', '10.0.1.3');
+  assert.equal(full.status, 429);
+  assert.equal(full.headers.get('retry-after'), '60');
+  assert.match((await full.json()).error, /busy/);
+
+  // Let both jobs finish, the queued one starts when the first is done
+  for (const jobId of [runningJob, queuedJob]) {
+    while (waiting.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    waiting.shift()();
+    assert.equal((await waitForJob(jobId)).status, 'succeeded');
+  }
+});
@@ -0,0 +1,204 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-globi-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { createGlobiDataSource } = require('../server');
+
+const MAMMAL_RANKS = 'kingdom | phylum | class | order | family | species';
+
+// Interaction records of the stub, by interaction type
+const interactions = {
+  eats: [
+    ['Lepus americanus', 'Animalia | Chordata | Mammalia | Lagomorpha | Leporidae | Lepus americanus', MAMMAL_RANKS],
+    ['Lepus americanus', 'Animalia | Chordata | Mammalia | Lagomorpha | Leporidae | Lepus americanus', MAMMAL_RANKS],
+    ['Alces alces', 'Animalia | Chordata | Mammalia | Artiodactyla | Cervidae | Alces alces', MAMMAL_RANKS],
+    ['Lepus americanus', 'Animalia | Chordata | Mammalia | Lagomorpha | Leporidae | Lepus americanus', MAMMAL_RANKS],
+    // Without a path, so its taxonomy has to be looked up
+    ['Rangifer tarandus', '', '']
+  ],
+  preysOn: [],
+  pollinates: []
+};
+
+// Answers of the taxon lookup endpoint, by taxon name
+const closeMatches = {
+  'Rangifer tarandus': ['Rangifer tarandus', 'Animalia | Chordata | Mammalia | Artiodactyla | Cervidae | Rangifer tarandus', MAMMAL_RANKS, 'reindeer @en'],
+  'Canis lupus': ['Canis lupus', 'Animalia | Chordata | Mammalia | Carnivora | Canidae | Canis lupus', MAMMAL_RANKS, 'gray wolf @en | loup @fr']
+};
+
+// Stub of the GloBI API. Every request is logged, and requests for the
+// predator "Failing taxon" are answered with an error
+const requests = [];
+let stub;
+let stubUrl;
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push(url);
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/interaction') {
+      if (url.searchParams.get('sourceTaxon') === 'Failing taxon') {
+        return send(500, { error: 'database unavailable' });
+      }
+      const rows = url.searchParams.get('sourceTaxon') === 'Canis lupus'
+        ? interactions[url.searchParams.get('interactionType')] || []
+        : [];
+      const offset = Number(url.searchParams.get('offset'));
+      return send(200, {
+        columns: ['target_taxon_name', 'target_taxon_path', 'target_taxon_path_ranks'],
+        data: rows.slice(offset, offset + Number(url.searchParams.get('limit')))
+      });
+    }
+
+    const lookup = url.pathname.match(/^\/findCloseMatchesForTaxon\/(.+)$/);
+    if (lookup) {
+      const match = closeMatches[decodeURIComponent(lookup[1])];
+      return send(200, {
+        columns: ['taxon_name', 'taxon_path', 'taxon_path_ranks', 'taxon_common_names'],
+        data: match ? [match] : []
+      });
+    }
+
+    send(404, { error: 'not found' });
+  });
+  stub.listen(0);
+  await new Promise(resolve => stub.once('listening', resolve));
+  stubUrl = `http://127.0.0.1:${stub.address().port}`;
+});
+
+after(() => {
+  stub.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('interactions are read page by page and counted per prey', async () => {
+  requests.length = 0;
+  const source = createGlobiDataSource({ baseUrl: stubUrl, pageSize: 2, maxRecords: 6 });
+  const progress = [];
+
+  const result = await source.fetchInteractions('Canis lupus', { onProgress: update => progress.push(update) });
+
+  // Three pages of "eats" until one comes back short, one empty page of the others
+  const pages = requests
+    .filter(url => url.pathname === '/interaction')
+    .map(url => `${url.searchParams.get('interactionType')}@${url.searchParams.get('offset')}`);
+  assert.deepEqual(pages, ['preysOn@0', 'eats@0', 'eats@2', 'eats@4', 'pollinates@0']);
+
+  const byName = Object.fromEntries(result.records.map(record => [record.species, record]));
+  assert.equal(result.records.length, 3);
+  assert.equal(byName['Lepus americanus'].count, 3);
+  assert.equal(byName['Lepus americanus'].family, 'Leporidae');
+  assert.equal(byName['Alces alces'].order, 'Artiodactyla');
+  assert.equal(byName['Rangifer tarandus'].family, 'Cervidae');
+  assert.ok(result.records.every(record => record.interaction_type === 'eats'));
+  assert.equal(result.vernacularName, 'gray wolf');
+
+  // Only the prey without a path is looked up, then the predator
+  const lookups = requests
+    .filter(url => url.pathname.startsWith('/findCloseMatchesForTaxon/'))
+    .map(url => decodeURIComponent(url.pathname.split('/').pop()));
+  assert.deepEqual(lookups, ['Rangifer tarandus', 'Canis lupus']);
+
+  // Every page reports progress before the taxonomy stage starts
+  const pageProgress = progress.filter(update => update.stage === 'interactions');
+  assert.deepEqual(pageProgress.map(update => update.current), [1, 4, 5, 6, 7]);
+  assert.ok(pageProgress.every(update => update.total === 9));
+  assert.equal(pageProgress[1].interactionType, 'eats');
+  assert.deepEqual(
+    progress.filter(update => update.stage === 'taxonomy').map(update => [update.current, update.total]),
+    [[1, 3], [2, 3], [3, 3]]
+  );
+});
+
+test('paging stops at the record limit', async () => {
+  requests.length = 0;
+  const source = createGlobiDataSource({ baseUrl: stubUrl, pageSize: 2, maxRecords: 4 });
+
+  const result = await source.fetchInteractions('Canis lupus');
+
+  const offsets = requests
+    .filter(url => url.pathname === '/interaction' && url.searchParams.get('interactionType') === 'eats')
+    .map(url => url.searchParams.get('offset'));
+  assert.deepEqual(offsets, ['0', '2']);
+  assert.deepEqual(result.records.map(record => record.species).sort(), ['Alces alces', 'Lepus americanus']);
+});
+
+test('error answers of the API fail the fetch with their status and body', async () => {
+  const source = createGlobiDataSource({ baseUrl: stubUrl });
+
+  await assert.rejects(source.fetchInteractions('Failing taxon'), error => {
+    assert.match(error.message, /answered with status 500/);
+    assert.match(error.details, /database unavailable/);
+    return true;
+  });
+});
+
+test('an unreachable API fails the fetch', async () => {
+  // Nothing listens on a port that was just closed
+  const closed = http.createServer();
+  closed.listen(0);
+  await new Promise(resolve => closed.once('listening', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const source = createGlobiDataSource({ baseUrl: `http://127.0.0.1:${port}` });
+
+  await assert.rejects(source.fetchInteractions('Canis lupus'), /Could not reach the GloBI API/);
+});
+
+test('a taxon without interactions fails the fetch', async () => {
+  const source = createGlobiDataSource({ baseUrl: stubUrl });
+
+  await assert.rejects(source.fetchInteractions('Panthera leo'), /No interactions found for Panthera leo/);
+});
+
+test('taxon lookups read the path and English name, unknown taxa are null', async () => {
+  const source = createGlobiDataSource({ baseUrl: stubUrl });
+
+  assert.equal(await source.resolveTaxonomy('Nonexistent taxon'), null);
+  assert.deepEqual(await source.resolveTaxonomy('Rangifer tarandus'), {
+    kingdom: 'Animalia',
+    class: 'Mammalia',
+    order: 'Artiodactyla',
+    family: 'Cervidae',
+    vernacular_name: 'reindeer'
+  });
+});
+
+test('record mode saves every response of a fetch and replay mode answers from them alone', async () => {
+  const fixturesDir = path.join(dataDir, 'fixtures');
+  const recorder = createGlobiDataSource({ baseUrl: stubUrl, pageSize: 2, maxRecords: 6, mode: 'record', fixturesDir });
+
+  const recorded = await recorder.fetchInteractions('Canis lupus');
+
+  const recording = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'canis_lupus.json'), 'utf8'));
+  assert.equal(recording.taxon, 'Canis lupus');
+  assert.equal(recording.base_url, stubUrl);
+  assert.equal(Object.keys(recording.responses).filter(key => key.startsWith('/interaction?')).length, 5);
+  assert.deepEqual(recording.responses['/findCloseMatchesForTaxon/Rangifer%20tarandus'].data, [closeMatches['Rangifer tarandus']]);
+  assert.deepEqual(await recorder.listRecordedTaxa(), ['Canis lupus']);
+
+  // Nothing answers at this address, the replay must not need it
+  const player = createGlobiDataSource({ baseUrl: 'http://127.0.0.1:9', pageSize: 2, maxRecords: 6, mode: 'replay', fixturesDir });
+
+  const replayed = await player.fetchInteractions('canis  lupus');
+  assert.deepEqual(replayed.records, recorded.records);
+  assert.equal(replayed.vernacularName, 'gray wolf');
+  assert.equal(replayed.generatedAt, recording.recorded_at);
+
+  await assert.rejects(player.fetchInteractions('Panthera leo'), /No recording for Panthera leo\. Offline mode can only fetch these taxa: Canis lupus/);
+});
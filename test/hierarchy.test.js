@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-hierarchy-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { initializeDatasets, createMemoryStorage, setDatasetStorage } = require('../server');
+
+// Version 2 file that lists Lepus timidus once per interaction type, and
+// twice for "eats" as duplicated joins do
+const typedHierarchy = {
+  schema_version: 2,
+  metadata: { predator: { scientific_name: 'Lynx lynx', vernacular_name: 'Eurasian lynx' }, source: 'globi', generated_at: null },
+  name: 'Eurasian lynx (Lynx lynx)',
+  rank: 'predator',
+  children: [{
+    name: 'Animalia',
+    rank: 'kingdom',
+    children: [{
+      name: 'Leporidae',
+      rank: 'family',
+      children: [
+        { name: 'Lepus timidus (Lepus timidus)', rank: 'species', interaction_type: 'eats', value: 4 },
+        { name: 'Lepus timidus (Lepus timidus)', rank: 'species', interaction_type: 'preysOn', value: 3 },
+        { name: 'Lepus timidus (Lepus timidus)', rank: 'species', interaction_type: 'eats', value: 4 }
+      ]
+    }]
+  }]
+};
+
+// Leaves of a family in an upgraded file of the local cache, by name
+const readLeaves = (fileName, familyName) => {
+  const hierarchy = JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+  const family = hierarchy.children
+    .flatMap(kingdom => kingdom.children)
+    .find(node => node.name === familyName);
+  return Object.fromEntries(family.children.map(leaf => [leaf.name, leaf]));
+};
+
+before(async () => {
+  const fileName = 'Lynx_lynx_prey_hierarchy.json';
+  setDatasetStorage(createMemoryStorage({
+    [fileName]: JSON.stringify(typedHierarchy),
+    'datasets_manifest.json': JSON.stringify({
+      version: 1,
+      datasets: { [fileName]: { file: fileName, taxon: 'Lynx lynx', name: typedHierarchy.name, source: 'globi', generated_at: new Date().toISOString() } }
+    })
+  }));
+
+  // Copies the bundled files into the cache and upgrades them
+  await initializeDatasets();
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('duplicated leaves of the bundled Vulpes file are counted once', () => {
+  const leaves = readLeaves('Vulpes_vulpes_prey_hierarchy.json', 'Leporidae');
+  const rabbit = leaves['Oryctolagus cuniculus (Oryctolagus cuniculus)'];
+
+  assert.equal(rabbit.value, 10);
+  assert.deepEqual(rabbit.interactions, { unknown: 10 });
+  assert.equal(Object.values(leaves).filter(leaf => leaf.name === rabbit.name).length, 1);
+});
+
+test('copies of a taxon are summed across interaction types only', () => {
+  const leaves = readLeaves('Lynx_lynx_prey_hierarchy.json', 'Leporidae');
+  const hare = leaves['Lepus timidus (Lepus timidus)'];
+
+  assert.equal(hare.value, 7);
+  assert.deepEqual(hare.interactions, { eats: 4, preysOn: 3 });
+});
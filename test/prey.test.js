@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-prey-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { app, setDataSource } = require('../server');
+
+const mammal = { kingdom: 'Animalia', class: 'Mammalia' };
+const bird = { kingdom: 'Animalia', class: 'Aves' };
+
+// Data source that answers every fetch with the same prey of a lynx
+setDataSource({
+  name: 'fake',
+  mode: 'live',
+  async fetchInteractions() {
+    return {
+      vernacularName: 'Eurasian lynx',
+      generatedAt: null,
+      records: [
+        { species: 'Lepus timidus', ...mammal, order: 'Lagomorpha', family: 'Leporidae', interaction_type: 'eats', count: 9 },
+        { species: 'Lepus timidus', ...mammal, order: 'Lagomorpha', family: 'Leporidae', interaction_type: 'preysOn', count: 2 },
+        { species: 'Capreolus capreolus', ...mammal, order: 'Artiodactyla', family: 'Cervidae', interaction_type: 'preysOn', count: 7 },
+        { species: 'Rangifer tarandus', ...mammal, order: 'Artiodactyla', family: 'Cervidae', interaction_type: 'eats', count: 4 },
+        { species: 'Tetrao urogallus', ...bird, order: 'Galliformes', family: 'Phasianidae', interaction_type: 'eats', count: 5 },
+        { species: 'Lagopus lagopus', ...bird, order: 'Galliformes', family: 'Phasianidae', interaction_type: 'preysOn', count: 1 }
+      ]
+    };
+  },
+  async resolveTaxonomy() {
+    return null;
+  }
+});
+
+let server;
+let baseUrl;
+
+// Fetch the lynx dataset, each fetch writes a new version of the file
+const fetchLynx = async () => {
+  const response = await fetch(`${baseUrl}/api/fetch-predator-data?predator=Lynx%20lynx`, { method: 'POST' });
+  const { jobId } = await response.json();
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { job } = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+    if (job.status === 'succeeded') {
+      return;
+    }
+    assert.notEqual(job.status, 'failed', job.error);
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+// Query the prey of the lynx
+const queryPrey = async (query) => {
+  const response = await fetch(`${baseUrl}/api/predators/Lynx_lynx/prey?${query}`);
+  return { status: response.status, body: await response.json() };
+};
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await fetchLynx();
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('cursors page through every row once', async () => {
+  const rows = [];
+  let cursor = null;
+  do {
+    const { status, body } = await queryPrey(`limit=4${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(status, 200);
+    assert.equal(body.total, 6);
+    rows.push(...body.items.map(item => `${item.species}:${item.interaction_type}`));
+    cursor = body.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(rows, [
+    'Lepus timidus:eats',
+    'Capreolus capreolus:preysOn',
+    'Tetrao urogallus:eats',
+    'Rangifer tarandus:eats',
+    'Lepus timidus:preysOn',
+    'Lagopus lagopus:preysOn'
+  ]);
+});
+
+test('filters combine', async () => {
+  const mammals = await queryPrey('class=mammalia&interaction_type=preysOn&sort=species');
+  assert.deepEqual(mammals.body.items.map(item => item.species), ['Capreolus capreolus', 'Lepus timidus']);
+
+  const listed = await queryPrey('family=Cervidae,Phasianidae&min_value=4&sort=-value');
+  assert.deepEqual(listed.body.items.map(item => [item.species, item.value]), [
+    ['Capreolus capreolus', 7],
+    ['Tetrao urogallus', 5],
+    ['Rangifer tarandus', 4]
+  ]);
+
+  const named = await queryPrey('kingdom=animalia&q=lepus&interaction_type=eats');
+  assert.deepEqual(named.body.items.map(item => item.species), ['Lepus timidus']);
+  assert.equal(named.body.nextCursor, null);
+});
+
+test('malformed cursors are refused', async () => {
+  for (const cursor of ['not-base64!', Buffer.from('not json').toString('base64url'), Buffer.from('{"o":-1,"h":"x"}').toString('base64url')]) {
+    const { status, body } = await queryPrey(`cursor=${encodeURIComponent(cursor)}`);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid or expired cursor');
+  }
+});
+
+test('repeated or bracketed parameters are refused with a JSON 400', async () => {
+  for (const query of ['sort=value&sort=-value', 'kingdom=animalia&kingdom=plantae', 'q[a]=lepus', 'cursor=a&cursor=b']) {
+    const { status, body } = await queryPrey(query);
+    assert.equal(status, 400, query);
+    assert.equal(body.success, false);
+  }
+});
+
+test('queries read a dataset once until it changes', async () => {
+  await queryPrey('limit=1');
+
+  const reads = [];
+  const readFile = fs.promises.readFile;
+  fs.promises.readFile = (file, ...args) => {
+    reads.push(path.basename(String(file)));
+    return readFile(file, ...args);
+  };
+  try {
+    await queryPrey('sort=species');
+    await fetch(`${baseUrl}/api/predators/Lynx_lynx/export?format=csv`).then(response => response.text());
+  } finally {
+    fs.promises.readFile = readFile;
+  }
+
+  assert.deepEqual(reads, []);
+});
+
+// Runs last, as it replaces the dataset
+test('cursors expire when the dataset changes', async () => {
+  const { body } = await queryPrey('limit=2');
+  assert.ok(body.nextCursor);
+
+  await fetchLynx();
+
+  const { status } = await queryPrey(`limit=2&cursor=${body.nextCursor}`);
+  assert.equal(status, 400);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-species-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { app, initializeDatasets } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await initializeDatasets();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('suggestions match scientific and common names', async () => {
+  const response = await fetch(`${baseUrl}/api/suggest-species?q=gray%20wol`);
+  assert.equal(response.status, 200);
+  const { suggestions } = await response.json();
+  assert.equal(suggestions[0].scientificName, 'Canis lupus');
+  assert.equal(suggestions[0].hasDataset, true);
+});
+
+test('a repeated suggestion query is answered with a JSON 400', async () => {
+  const response = await fetch(`${baseUrl}/api/suggest-species?q=canis&q=lupus`);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).success, false);
+});
+
+test('a misspelled name resolves to no match and close suggestions', async () => {
+  const response = await fetch(`${baseUrl}/api/resolve-species?q=Canis%20lupsu`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.match, null);
+  assert.ok(body.suggestions.some(suggestion => suggestion.scientificName === 'Canis lupus'));
+});
+
+test('a repeated resolve query is answered with a JSON 400', async () => {
+  const response = await fetch(`${baseUrl}/api/resolve-species?q=Canis%20lupus&q=Vulpes%20vulpes`);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).success, false);
+});
@@ -0,0 +1,179 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-storage-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { app, initializeDatasets, createMemoryStorage, setDatasetStorage, setDataSource } = require('../server');
+
+// Data source that answers every fetch with the same two prey
+const fakeDataSource = {
+  name: 'fake',
+  mode: 'live',
+  async fetchInteractions(taxon, { onProgress } = {}) {
+    onProgress({ stage: 'taxonomy', current: 1, total: 1, species: 'Lepus americanus' });
+    return {
+      vernacularName: 'Dog',
+      generatedAt: null,
+      records: [
+        { species: 'Lepus americanus', kingdom: 'Animalia', class: 'Mammalia', order: 'Lagomorpha', family: 'Leporidae', interaction_type: 'eats', count: 3 },
+        { species: 'Alces alces', kingdom: 'Animalia', class: 'Mammalia', order: 'Artiodactyla', family: 'Cervidae', interaction_type: 'preysOn', count: 2 }
+      ]
+    };
+  },
+  async resolveTaxonomy() {
+    return null;
+  }
+};
+
+// Version 1 file as written by the R script, without ranks or taxonomy
+const legacyHierarchy = {
+  name: 'Eurasian lynx (Lynx lynx)',
+  children: [{
+    name: 'Animalia',
+    children: [
+      { name: 'Leporidae', children: [{ name: 'Lepus timidus (Lepus timidus)', value: 4 }] },
+      { name: 'Cervidae', children: [{ name: 'Capreolus capreolus (Capreolus capreolus)', value: 6 }] }
+    ]
+  }]
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Poll a fetch job until it has finished
+const waitForJob = async (jobId) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { job } = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
+
+test('fetched datasets are written through to storage and restored on a cache miss', async () => {
+  const storage = createMemoryStorage();
+  setDatasetStorage(storage);
+  setDataSource(fakeDataSource);
+
+  const response = await fetch(`${baseUrl}/api/fetch-predator-data?predator=${encodeURIComponent('canis lupus  familiaris')}`, { method: 'POST' });
+  assert.equal(response.status, 202);
+  const job = await waitForJob((await response.json()).jobId);
+  assert.equal(job.status, 'succeeded', job.error);
+
+  // Trinomials get one underscore per space, like every other name, and the
+  // name is spelled like a scientific name whatever the request wrote
+  const fileName = 'Canis_lupus_familiaris_prey_hierarchy.json';
+  assert.ok(storage.files.has(fileName));
+  assert.ok(storage.files.has('datasets_manifest.json'));
+  const stored = JSON.parse(storage.files.get(fileName));
+  assert.equal(stored.schema_version, 4);
+  assert.equal(stored.name, 'Dog (Canis lupus familiaris)');
+  assert.equal(stored.metadata.source, 'fake');
+
+  const manifest = JSON.parse(storage.files.get('datasets_manifest.json'));
+  assert.equal(manifest.datasets[fileName].species_count, 2);
+  assert.equal(manifest.datasets[fileName].taxon, 'Canis lupus familiaris');
+  assert.equal(manifest.datasets[fileName].source, 'fake');
+  assert.equal(manifest.datasets[fileName].query.taxon, 'Canis lupus familiaris');
+
+  // Lose the local copy, as after a container restart
+  fs.unlinkSync(path.join(dataDir, fileName));
+
+  const restored = await fetch(`${baseUrl}/data/${fileName}`);
+  assert.equal(restored.status, 200);
+  assert.deepEqual(await restored.json(), stored);
+  assert.ok(fs.existsSync(path.join(dataDir, fileName)));
+
+  const prey = await fetch(`${baseUrl}/api/predators/Canis_lupus_familiaris/prey`);
+  assert.equal(prey.status, 200);
+  assert.equal((await prey.json()).total, 2);
+});
+
+test('the manifest describes a refetched file even when storage can\'t be written', async () => {
+  const storage = createMemoryStorage();
+  setDatasetStorage(storage);
+  setDataSource(fakeDataSource);
+  const fileName = 'Vulpes_lagopus_prey_hierarchy.json';
+
+  const first = await fetch(`${baseUrl}/api/fetch-predator-data?predator=Vulpes%20lagopus`, { method: 'POST' });
+  assert.equal((await waitForJob((await first.json()).jobId)).status, 'succeeded');
+  const before = await fetch(`${baseUrl}/data/${fileName}`);
+  await before.arrayBuffer();
+
+  // The backend refuses the new hierarchy file, but still takes the manifest
+  const write = storage.write;
+  storage.write = async (name, contents) => {
+    if (name === fileName) {
+      throw new Error('bucket unavailable');
+    }
+    return write(name, contents);
+  };
+
+  const second = await fetch(`${baseUrl}/api/fetch-predator-data?predator=Vulpes%20lagopus`, { method: 'POST' });
+  assert.equal((await waitForJob((await second.json()).jobId)).status, 'succeeded');
+
+  const contents = fs.readFileSync(path.join(dataDir, fileName));
+  const sha256 = crypto.createHash('sha256').update(contents).digest('hex');
+  const after = await fetch(`${baseUrl}/data/${fileName}`, { headers: { 'If-None-Match': before.headers.get('etag') } });
+  assert.equal(after.status, 200);
+  assert.equal(after.headers.get('etag'), `"${sha256}"`);
+  assert.deepEqual(Buffer.from(await after.arrayBuffer()), contents);
+});
+
+test('datasets missing from the cache are served as 404', async () => {
+  setDatasetStorage(createMemoryStorage());
+
+  const response = await fetch(`${baseUrl}/data/Felis_catus_prey_hierarchy.json`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).success, false);
+});
+
+test('the manifest is not served as a file', async () => {
+  const response = await fetch(`${baseUrl}/data/datasets_manifest.json`);
+  assert.equal(response.status, 404);
+});
+
+test('legacy files restored at startup are upgraded and classified', async () => {
+  const fileName = 'Lynx_lynx_prey_hierarchy.json';
+  const storage = createMemoryStorage({
+    [fileName]: JSON.stringify(legacyHierarchy),
+    'datasets_manifest.json': JSON.stringify({
+      version: 1,
+      datasets: { [fileName]: { file: fileName, taxon: 'Lynx lynx', name: legacyHierarchy.name, source: 'globi', generated_at: new Date().toISOString() } }
+    })
+  });
+  setDatasetStorage(storage);
+
+  await initializeDatasets();
+
+  const local = JSON.parse(fs.readFileSync(path.join(dataDir, fileName), 'utf8'));
+  const families = local.children[0].children;
+  assert.equal(local.schema_version, 4);
+  assert.deepEqual(families.map(family => [family.name, family.class, family.order]), [
+    ['Leporidae', 'Mammalia', 'Lagomorpha'],
+    ['Cervidae', 'Mammalia', 'Artiodactyla']
+  ]);
+
+  // The upgrade is written back, so storage never keeps the legacy file
+  assert.deepEqual(JSON.parse(storage.files.get(fileName)), local);
+});
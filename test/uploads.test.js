@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the local cache of the tests out of /tmp/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prey-network-uploads-'));
+process.env.DATA_DIR = dataDir;
+process.env.DATASET_STORAGE = 'memory';
+
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Upload a file and read the answer
+const upload = async (text, contentType = 'text/csv') => {
+  const response = await fetch(`${baseUrl}/api/uploads`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body: text
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Species leaves of an uploaded dataset, by name
+const readLeaves = async (url) => {
+  const hierarchy = await (await fetch(`${baseUrl}${url}`)).json();
+  return Object.fromEntries(hierarchy.children
+    .flatMap(kingdom => kingdom.children)
+    .flatMap(family => family.children)
+    .map(leaf => [leaf.name, leaf]));
+};
+
+test('quoted fields, CRLF line endings and a byte order mark are read', async () => {
+  const { status, body } = await upload([
+    '\uFEFFpredator,prey,interaction_type,count,prey_common_name',
+    'Lynx lynx,Capreolus capreolus,eats,3,"Roe deer, European"',
+    'Lynx lynx,Lepus timidus,preysOn,2,"Mountain ""blue"" hare"',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.rowCount, 2);
+  const leaves = await readLeaves(body.datasets[0].url);
+  assert.equal(leaves['Roe deer, European (Capreolus capreolus)'].value, 3);
+  assert.equal(leaves['Mountain "blue" hare (Lepus timidus)'].value, 2);
+});
+
+test('tab separated files are detected by their header or content type', async () => {
+  const rows = ['predator\tprey\tinteraction_type\tcount', 'Lynx lynx\tLepus timidus\teats\t4'];
+
+  const detected = await upload(rows.join('\n'), 'text/plain');
+  assert.equal(detected.status, 201, JSON.stringify(detected.body));
+
+  // A declared TSV with a comma in a name keeps the comma in the field
+  const declared = await upload(['predator\tprey\tinteraction_type\tcount\tprey_common_name', 'Lynx lynx\tLepus timidus\teats\t4\tHare, mountain'].join('\n'), 'text/tab-separated-values');
+  assert.equal(declared.status, 201, JSON.stringify(declared.body));
+  assert.ok((await readLeaves(declared.body.datasets[0].url))['Hare, mountain (Lepus timidus)']);
+});
+
+test('spellings of the same predator and prey make one dataset and one leaf', async () => {
+  const { status, body } = await upload([
+    'predator,prey,interaction_type,count',
+    'Canis lupus,Alces alces,eats,3',
+    'canis  lupus,Alces  alces,preysOn,1',
+    ' Canis Lupus ,Lepus timidus,eats,2'
+  ].join('\n'));
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.deepEqual(body.datasets.map(dataset => dataset.predator), ['Canis lupus']);
+  const leaves = await readLeaves(body.datasets[0].url);
+  const moose = Object.values(leaves).find(leaf => leaf.name.endsWith('(Alces alces)'));
+  assert.equal(moose.value, 4);
+  assert.deepEqual(moose.interactions, { eats: 3, preysOn: 1 });
+});
+
+test('invalid rows are reported with their row and column', async () => {
+  const { status, body } = await upload([
+    'predator,prey,interaction_type,count',
+    'Lynx lynx,Lepus-timidus,eats,3',
+    'Lynx lynx,Lepus timidus,hunts,2',
+    'Lynx lynx,Lepus timidus,eats,0',
+    'Lynx lynx,Lepus timidus,eats'
+  ].join('\n'));
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.errors.map(error => [error.row, error.column]), [
+    [2, 'prey'],
+    [3, 'interaction_type'],
+    [4, 'count'],
+    [5, null],
+    [5, 'count']
+  ]);
+});
+
+test('uploads without the required columns are refused', async () => {
+  const { status, body } = await upload('predator,prey\nLynx lynx,Lepus timidus\n');
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.errors.map(error => error.column), ['interaction_type', 'count']);
+});